@@ -0,0 +1,143 @@
+/**
+ * Viewer state encoded in the URL hash, so a link reopens the viewer as it
+ * was shared, e.g.
+ * `#cam=1.2,2.1,3.4&target=0,1,0&part=seat&rotate=0&hidden=leg_0&config=seat:plum`
+ *
+ * Camera coordinates are relative to the product, so the view matches however
+ * far the product has turned. Unknown or malformed values are left out.
+ */
+
+/**
+ * Encode viewer state as a URL hash
+ * @param {Object} state
+ * @param {number[]} [state.camera] - Camera position in product space
+ * @param {number[]} [state.target] - Look-at point in product space
+ * @param {string|null} [state.part] - Selected part id
+ * @param {boolean} [state.autoRotate] - Whether auto-rotation is on
+ * @param {string[]} [state.hidden] - Ids of hidden parts
+ * @param {Object} [state.configuration] - Variant ids keyed by group id
+ * @returns {string} Hash including the leading "#", or "" for no state
+ */
+export function encodeViewerState(state) {
+  const params = [];
+
+  if (state.camera && state.target) {
+    params.push(["cam", formatVector(state.camera)]);
+    params.push(["target", formatVector(state.target)]);
+  }
+  if (state.part) {
+    params.push(["part", encodeURIComponent(state.part)]);
+  }
+  if (state.autoRotate !== undefined) {
+    params.push(["rotate", state.autoRotate ? "1" : "0"]);
+  }
+  if (state.hidden && state.hidden.length > 0) {
+    params.push(["hidden", state.hidden.map(encodeURIComponent).join(",")]);
+  }
+
+  const configuration = Object.entries(state.configuration || {});
+  if (configuration.length > 0) {
+    const entries = configuration.map(
+      ([groupId, variantId]) =>
+        `${encodeURIComponent(groupId)}:${encodeURIComponent(variantId)}`
+    );
+    params.push(["config", entries.join(",")]);
+  }
+
+  return params.length > 0
+    ? `#${params.map(([key, value]) => `${key}=${value}`).join("&")}`
+    : "";
+}
+
+/**
+ * Decode viewer state from a URL hash
+ * @param {string} hash - URL hash, with or without the leading "#"
+ * @returns {Object} State with the same fields as `encodeViewerState` takes;
+ * fields missing from the hash are left out
+ */
+export function decodeViewerState(hash) {
+  // Ids are split on "," and ":" before they are decoded, so ids containing
+  // those characters survive
+  const params = new Map();
+  hash
+    .replace(/^#/, "")
+    .split("&")
+    .forEach((param) => {
+      const separator = param.indexOf("=");
+      if (separator > 0) {
+        params.set(param.slice(0, separator), param.slice(separator + 1));
+      }
+    });
+  const state = {};
+
+  const camera = parseVector(params.get("cam"));
+  const target = parseVector(params.get("target"));
+  if (camera && target) {
+    state.camera = camera;
+    state.target = target;
+  }
+
+  if (params.get("part")) {
+    state.part = safeDecode(params.get("part"));
+  }
+
+  if (params.get("rotate") === "0" || params.get("rotate") === "1") {
+    state.autoRotate = params.get("rotate") === "1";
+  }
+
+  if (params.get("hidden")) {
+    state.hidden = params
+      .get("hidden")
+      .split(",")
+      .filter(Boolean)
+      .map(safeDecode);
+  }
+
+  if (params.get("config")) {
+    state.configuration = {};
+    params
+      .get("config")
+      .split(",")
+      .forEach((entry) => {
+        const [groupId, variantId] = entry.split(":");
+        if (groupId && variantId) {
+          state.configuration[safeDecode(groupId)] = safeDecode(variantId);
+        }
+      });
+  }
+
+  return state;
+}
+
+/**
+ * @param {string} value - URI component
+ * @returns {string} Decoded value, or the raw value when malformed
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * @param {number[]} vector - Three numbers
+ * @returns {string} Comma-separated, rounded to 1/100 unit
+ */
+function formatVector(vector) {
+  return vector.map((value) => Number(value.toFixed(2))).join(",");
+}
+
+/**
+ * @param {string|null} value - Comma-separated numbers
+ * @returns {number[]|null} Three numbers, or null when malformed
+ */
+function parseVector(value) {
+  if (!value) return null;
+
+  const numbers = value.split(",").map((item) => (item ? Number(item) : NaN));
+  return numbers.length === 3 && numbers.every(Number.isFinite)
+    ? numbers
+    : null;
+}
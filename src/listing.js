@@ -0,0 +1,13 @@
+// Product listing page: several independent <product-viewer> elements
+import "./viewer/productViewerElement.js";
+import "./style.css";
+
+document.querySelectorAll(".product-card").forEach((card) => {
+  const caption = card.querySelector(".product-card-part");
+
+  card.addEventListener("part-select", ({ detail }) => {
+    caption.textContent = detail.part
+      ? `Selected: ${detail.part.name}`
+      : "No part selected";
+  });
+});
@@ -0,0 +1,447 @@
+/**
+ * Product manifest loading and validation.
+ *
+ * A manifest describes a product declaratively: its materials and, for every
+ * part, the display name, description, category, material reference and either
+ * a procedural geometry or a selector for a mesh inside a glTF model. Parts may
+ * also set `explode`, their offset in product units in the exploded view.
+ * Parts can carry `hotspots`: annotations with an `offset` from the part's mesh
+ * origin, a `title` and a `body`. `units.metersPerUnit` maps one product
+ * unit (one model unit for glTF) to its real-world size for the dimension
+ * overlay and measure tool.
+ * `cameraBookmarks` are named views with a camera `position` and `target` in
+ * product units, so they follow the product as it turns.
+ */
+
+export const GEOMETRY_TYPES = ["box", "cylinder", "sphere"];
+
+/**
+ * Surface finishes a variant can name instead of spelling out roughness and
+ * metalness. Explicit values on the variant take precedence.
+ */
+export const FINISHES = {
+  matte: { roughness: 0.9, metalness: 0 },
+  satin: { roughness: 0.5, metalness: 0 },
+  glossy: { roughness: 0.15, metalness: 0 },
+  brushed: { roughness: 0.35, metalness: 0.9 },
+  polished: { roughness: 0.05, metalness: 1 },
+};
+
+export const DISPLAY_UNITS = ["cm", "in"];
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Error thrown when a manifest fails validation
+ */
+export class ManifestError extends Error {
+  /**
+   * @param {string[]} errors - Every problem found in the manifest
+   */
+  constructor(errors) {
+    super(`Invalid product manifest:\n- ${errors.join("\n- ")}`);
+    this.name = "ManifestError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Fetch and validate a manifest
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Object>} Validated manifest
+ */
+export async function loadManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load manifest ${url} (${response.status})`);
+  }
+
+  return parseManifest(await response.text(), url);
+}
+
+/**
+ * Parse and validate manifest JSON text
+ * @param {string} text - Raw JSON
+ * @param {string} [label="manifest"] - Source name used in error messages
+ * @returns {Object} Validated manifest
+ */
+export function parseManifest(text, label = "manifest") {
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch (error) {
+    throw new ManifestError([`${label} is not valid JSON: ${error.message}`]);
+  }
+
+  return validateManifest(manifest);
+}
+
+/**
+ * Validate a manifest, collecting every problem before failing
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Object} The same manifest when valid
+ * @throws {ManifestError} When the manifest is invalid
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+
+  if (!isObject(manifest)) {
+    throw new ManifestError(["manifest must be a JSON object"]);
+  }
+
+  checkString(manifest.id, "id", errors);
+  checkString(manifest.name, "name", errors);
+
+  if (manifest.model !== undefined) {
+    checkString(manifest.model, "model", errors);
+  }
+
+  if (manifest.units !== undefined) {
+    validateUnits(manifest.units, errors);
+  }
+
+  const categories = manifest.categories;
+  if (categories !== undefined) {
+    if (
+      !Array.isArray(categories) ||
+      !categories.every((category) => typeof category === "string")
+    ) {
+      errors.push("categories must be an array of strings");
+    }
+  }
+
+  const materials = manifest.materials || {};
+  if (!isObject(materials)) {
+    errors.push("materials must be an object keyed by material id");
+  } else {
+    Object.entries(materials).forEach(([id, material]) => {
+      validateMaterial(material, `materials.${id}`, errors);
+    });
+  }
+
+  if (!Array.isArray(manifest.parts) || manifest.parts.length === 0) {
+    errors.push("parts must be a non-empty array");
+  } else {
+    const seenIds = new Set();
+    manifest.parts.forEach((part, index) => {
+      validatePart(part, index, manifest, seenIds, errors);
+    });
+  }
+
+  if (manifest.variantGroups !== undefined) {
+    validateVariantGroups(manifest, errors);
+  }
+
+  if (manifest.cameraBookmarks !== undefined) {
+    validateCameraBookmarks(manifest.cameraBookmarks, errors);
+  }
+
+  if (errors.length > 0) {
+    throw new ManifestError(errors);
+  }
+
+  return manifest;
+}
+
+/**
+ * Validate the real-world unit metadata
+ * @param {Object} units - Units definition
+ * @param {string[]} errors - Error accumulator
+ */
+function validateUnits(units, errors) {
+  if (!isObject(units)) {
+    errors.push("units must be an object");
+    return;
+  }
+
+  if (!(typeof units.metersPerUnit === "number" && units.metersPerUnit > 0)) {
+    errors.push("units.metersPerUnit must be a positive number");
+  }
+
+  if (units.display !== undefined && !DISPLAY_UNITS.includes(units.display)) {
+    errors.push(`units.display must be one of: ${DISPLAY_UNITS.join(", ")}`);
+  }
+}
+
+/**
+ * Validate a material definition
+ * @param {Object} material - Material definition
+ * @param {string} path - Path used in error messages
+ * @param {string[]} errors - Error accumulator
+ */
+function validateMaterial(material, path, errors) {
+  if (!isObject(material)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  if (!COLOR_PATTERN.test(material.color)) {
+    errors.push(`${path}.color must be a hex color like "#8b4513"`);
+  }
+
+  ["roughness", "metalness"].forEach((key) => {
+    const value = material[key];
+    if (value !== undefined && !(value >= 0 && value <= 1)) {
+      errors.push(`${path}.${key} must be a number between 0 and 1`);
+    }
+  });
+}
+
+/**
+ * Validate a single part entry
+ * @param {Object} part - Part definition
+ * @param {number} index - Index in the parts array
+ * @param {Object} manifest - Whole manifest
+ * @param {Set<string>} seenIds - Part ids validated so far
+ * @param {string[]} errors - Error accumulator
+ */
+function validatePart(part, index, manifest, seenIds, errors) {
+  if (!isObject(part)) {
+    errors.push(`parts[${index}] must be an object`);
+    return;
+  }
+
+  const path =
+    typeof part.id === "string"
+      ? `parts[${index}] ("${part.id}")`
+      : `parts[${index}]`;
+
+  checkString(part.id, `${path}.id`, errors);
+  checkString(part.name, `${path}.name`, errors);
+  checkString(part.description, `${path}.description`, errors);
+  checkString(part.category, `${path}.category`, errors);
+
+  if (seenIds.has(part.id)) {
+    errors.push(`${path}.id is used by more than one part`);
+  }
+  seenIds.add(part.id);
+
+  if (
+    Array.isArray(manifest.categories) &&
+    typeof part.category === "string" &&
+    !manifest.categories.includes(part.category)
+  ) {
+    errors.push(
+      `${path}.category "${
+        part.category
+      }" is not one of: ${manifest.categories.join(", ")}`
+    );
+  }
+
+  const materials = isObject(manifest.materials) ? manifest.materials : {};
+  if (part.material !== undefined && !(part.material in materials)) {
+    errors.push(
+      `${path}.material references unknown material "${part.material}"`
+    );
+  }
+
+  if (part.mesh !== undefined) {
+    checkString(part.mesh, `${path}.mesh`, errors);
+  }
+
+  if (part.explode !== undefined && !isNumberArray(part.explode, 3)) {
+    errors.push(`${path}.explode must be an offset of 3 numbers`);
+  }
+
+  if (part.hotspots !== undefined) {
+    validateHotspots(part.hotspots, `${path}.hotspots`, errors);
+  }
+
+  if (manifest.model) {
+    // Parts are picked out of the model by mesh name
+    if (part.geometry !== undefined) {
+      errors.push(
+        `${path}.geometry is not allowed when the manifest has a model`
+      );
+    }
+    return;
+  }
+
+  if (part.material === undefined) {
+    errors.push(`${path}.material is required for procedural parts`);
+  }
+
+  const geometry = part.geometry;
+  if (!isObject(geometry)) {
+    errors.push(`${path}.geometry is required when the manifest has no model`);
+  } else {
+    if (!GEOMETRY_TYPES.includes(geometry.type)) {
+      errors.push(
+        `${path}.geometry.type must be one of: ${GEOMETRY_TYPES.join(", ")}`
+      );
+    }
+    if (!isNumberArray(geometry.args)) {
+      errors.push(`${path}.geometry.args must be an array of numbers`);
+    }
+  }
+
+  if (!isNumberArray(part.position, 3)) {
+    errors.push(`${path}.position must be an array of 3 numbers`);
+  }
+}
+
+/**
+ * Validate the annotation hotspots of a part
+ * @param {Array} hotspots - Hotspot definitions
+ * @param {string} path - Path used in error messages
+ * @param {string[]} errors - Error accumulator
+ */
+function validateHotspots(hotspots, path, errors) {
+  if (!Array.isArray(hotspots)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+
+  hotspots.forEach((hotspot, index) => {
+    const hotspotPath = `${path}[${index}]`;
+    if (!isObject(hotspot)) {
+      errors.push(`${hotspotPath} must be an object`);
+      return;
+    }
+
+    if (!isNumberArray(hotspot.offset, 3)) {
+      errors.push(`${hotspotPath}.offset must be an array of 3 numbers`);
+    }
+    checkString(hotspot.title, `${hotspotPath}.title`, errors);
+    checkString(hotspot.body, `${hotspotPath}.body`, errors);
+  });
+}
+
+/**
+ * Validate the material variant groups offered by the configurator
+ * @param {Object} manifest - Whole manifest
+ * @param {string[]} errors - Error accumulator
+ */
+function validateVariantGroups(manifest, errors) {
+  if (!Array.isArray(manifest.variantGroups)) {
+    errors.push("variantGroups must be an array");
+    return;
+  }
+
+  const partIds = new Set(
+    (Array.isArray(manifest.parts) ? manifest.parts : []).map((part) => part.id)
+  );
+  const groupIds = new Set();
+  const groupedParts = new Set();
+
+  manifest.variantGroups.forEach((group, index) => {
+    const path = `variantGroups[${index}]`;
+    if (!isObject(group)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    checkString(group.id, `${path}.id`, errors);
+    checkString(group.name, `${path}.name`, errors);
+    if (groupIds.has(group.id)) {
+      errors.push(`${path}.id "${group.id}" is used by more than one group`);
+    }
+    groupIds.add(group.id);
+
+    if (!Array.isArray(group.parts) || group.parts.length === 0) {
+      errors.push(`${path}.parts must be a non-empty array of part ids`);
+    } else {
+      group.parts.forEach((partId) => {
+        if (!partIds.has(partId)) {
+          errors.push(`${path}.parts references unknown part "${partId}"`);
+        } else if (groupedParts.has(partId)) {
+          errors.push(`${path}.parts: part "${partId}" is already in a group`);
+        }
+        groupedParts.add(partId);
+      });
+    }
+
+    if (!Array.isArray(group.variants) || group.variants.length === 0) {
+      errors.push(`${path}.variants must be a non-empty array`);
+      return;
+    }
+
+    const variantIds = new Set();
+    group.variants.forEach((variant, variantIndex) => {
+      const variantPath = `${path}.variants[${variantIndex}]`;
+      validateMaterial(variant, variantPath, errors);
+      if (!isObject(variant)) return;
+
+      checkString(variant.id, `${variantPath}.id`, errors);
+      checkString(variant.name, `${variantPath}.name`, errors);
+      if (variantIds.has(variant.id)) {
+        errors.push(`${variantPath}.id "${variant.id}" is used twice`);
+      }
+      variantIds.add(variant.id);
+
+      if (variant.finish !== undefined && !(variant.finish in FINISHES)) {
+        errors.push(
+          `${variantPath}.finish must be one of: ${Object.keys(FINISHES).join(
+            ", "
+          )}`
+        );
+      }
+    });
+
+    if (group.default !== undefined && !variantIds.has(group.default)) {
+      errors.push(
+        `${path}.default references unknown variant "${group.default}"`
+      );
+    }
+  });
+}
+
+/**
+ * Validate the named camera views
+ * @param {Array} bookmarks - Bookmark definitions
+ * @param {string[]} errors - Error accumulator
+ */
+function validateCameraBookmarks(bookmarks, errors) {
+  if (!Array.isArray(bookmarks)) {
+    errors.push("cameraBookmarks must be an array");
+    return;
+  }
+
+  bookmarks.forEach((bookmark, index) => {
+    const path = `cameraBookmarks[${index}]`;
+    if (!isObject(bookmark)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    checkString(bookmark.name, `${path}.name`, errors);
+    ["position", "target"].forEach((key) => {
+      if (!isNumberArray(bookmark[key], 3)) {
+        errors.push(`${path}.${key} must be an array of 3 numbers`);
+      }
+    });
+  });
+}
+
+/**
+ * Record an error unless the value is a non-empty string
+ * @param {*} value - Value to check
+ * @param {string} path - Path used in error messages
+ * @param {string[]} errors - Error accumulator
+ */
+function checkString(value, path, errors) {
+  if (typeof value !== "string" || value.trim() === "") {
+    errors.push(`${path} must be a non-empty string`);
+  }
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value
+ * @param {number} [length] - Required length
+ * @returns {boolean} Whether the value is an array of finite numbers
+ */
+function isNumberArray(value, length) {
+  return (
+    Array.isArray(value) &&
+    (length === undefined || value.length === length) &&
+    value.every((item) => typeof item === "number" && Number.isFinite(item))
+  );
+}
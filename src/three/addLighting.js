@@ -1,10 +1,76 @@
 import * as THREE from "three";
+import { RoomEnvironment } from "three/examples/jsm/environments/RoomEnvironment.js";
+import { Easing } from "./animationScheduler.js";
+
+/**
+ * Named lighting setups. Each sets every light of the rig, the background
+ * (and fog) color, the tone mapping exposure and how strongly materials
+ * reflect the environment map.
+ */
+export const LIGHTING_PRESETS = {
+  studio: {
+    name: "Studio",
+    background: 0x2a2a2a,
+    exposure: 1.2,
+    environment: 0.4,
+    lights: {
+      ambient: { color: 0x404040, intensity: 0.4 },
+      main: { color: 0xffffff, intensity: 1.2, position: [10, 10, 5] },
+      fill: { color: 0x4080ff, intensity: 0.5, position: [-8, 6, -8] },
+      rim: { color: 0xff8040, intensity: 0.4, position: [0, -3, 12] },
+      spot: { color: 0xffffff, intensity: 0.8, position: [5, 8, 3] },
+    },
+  },
+  daylight: {
+    name: "Soft Daylight",
+    background: 0x5b6470,
+    exposure: 1.1,
+    environment: 1,
+    lights: {
+      ambient: { color: 0xdfe8f5, intensity: 0.9 },
+      main: { color: 0xfff4e0, intensity: 0.9, position: [6, 12, 8] },
+      fill: { color: 0xcfe3ff, intensity: 0.6, position: [-8, 6, -4] },
+      rim: { color: 0xffffff, intensity: 0.2, position: [0, 4, -12] },
+      spot: { color: 0xffffff, intensity: 0.2, position: [5, 8, 3] },
+    },
+  },
+  dramatic: {
+    name: "Dramatic",
+    background: 0x0d0d0f,
+    exposure: 1,
+    environment: 0.15,
+    lights: {
+      ambient: { color: 0x101018, intensity: 0.1 },
+      main: { color: 0xffffff, intensity: 1.8, position: [-6, 9, 2] },
+      fill: { color: 0x2040ff, intensity: 0.15, position: [8, 2, -8] },
+      rim: { color: 0xff6020, intensity: 1.2, position: [0, 3, -12] },
+      spot: { color: 0xfff0dd, intensity: 1.4, position: [2, 9, 4] },
+    },
+  },
+  showroom: {
+    name: "Showroom",
+    background: 0x3a3f47,
+    exposure: 1.3,
+    environment: 1.2,
+    lights: {
+      ambient: { color: 0xffffff, intensity: 0.5 },
+      main: { color: 0xffffff, intensity: 1, position: [8, 12, 6] },
+      fill: { color: 0xffffff, intensity: 0.6, position: [-8, 8, -6] },
+      rim: { color: 0xffffff, intensity: 0.5, position: [0, 6, -12] },
+      spot: { color: 0xffffff, intensity: 1, position: [4, 10, 4] },
+    },
+  },
+};
 
 /**
  * Add comprehensive lighting setup to the scene
  * @param {THREE.Scene} scene - The Three.js scene
+ * @param {AnimationScheduler} scheduler - Scheduler driving the ambient effects
+ * @param {THREE.WebGLRenderer} renderer - Renderer used to prefilter the
+ * environment map
+ * @returns {LightingController} Controller for the rig and presets
  */
-export function addLighting(scene) {
+export function addLighting(scene, scheduler, renderer) {
   const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
   ambientLight.name = "ambient_light";
   scene.add(ambientLight);
@@ -48,15 +114,202 @@ export function addLighting(scene) {
   spotLight.shadow.camera.far = 20;
 
   scene.add(spotLight);
-  createEnvironment(scene);
-  addDynamicLighting(scene);
+  createEnvironment(scene, scheduler);
+
+  const lighting = new LightingController(scene, renderer, scheduler, {
+    ambient: ambientLight,
+    main: mainLight,
+    fill: fillLight,
+    rim: rimLight,
+    spot: spotLight,
+  });
+  lighting.setPreset("studio", 0);
+
+  addDynamicLighting(lighting, scheduler);
+  return lighting;
+}
+
+/**
+ * Owns the light rig and the image-based lighting, and crossfades between
+ * lighting presets
+ */
+export class LightingController {
+  /**
+   * @param {THREE.Scene} scene - The Three.js scene
+   * @param {THREE.WebGLRenderer} renderer - Renderer of the scene
+   * @param {AnimationScheduler} scheduler - Scheduler driving crossfades
+   * @param {Object} lights - Rig lights keyed by ambient/main/fill/rim/spot
+   */
+  constructor(scene, renderer, scheduler, lights) {
+    this.scene = scene;
+    this.renderer = renderer;
+    this.scheduler = scheduler;
+    this.lights = lights;
+    this.preset = null;
+    this.transition = null;
+    this.environmentIntensity = 1;
+
+    // The preset's exposure, and the user's adjustment on top of it
+    this.exposure = renderer.toneMappingExposure;
+    this.exposureScale = 1;
+
+    // Intensities before flicker; the flicker varies around these
+    this.baseIntensity = {};
+    Object.entries(lights).forEach(([key, light]) => {
+      this.baseIntensity[key] = light.intensity;
+    });
+
+    // Image-based lighting from a generated room, so metals have something
+    // to reflect
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    const room = new RoomEnvironment(renderer);
+    this.environmentMap = pmrem.fromScene(room, 0.04).texture;
+    room.dispose();
+    pmrem.dispose();
+    scene.environment = this.environmentMap;
+  }
+
+  /**
+   * @returns {Array} Preset ids and display names
+   */
+  getPresets() {
+    return Object.entries(LIGHTING_PRESETS).map(([id, preset]) => ({
+      id,
+      name: preset.name,
+    }));
+  }
+
+  /**
+   * Crossfade to a lighting preset
+   * @param {string} presetId - Key of `LIGHTING_PRESETS`
+   * @param {number} [duration=800] - Crossfade duration in ms
+   */
+  setPreset(presetId, duration = 800) {
+    const preset = LIGHTING_PRESETS[presetId];
+    if (!preset) {
+      throw new Error(`Unknown lighting preset "${presetId}"`);
+    }
+
+    if (this.transition) this.transition.cancel();
+    this.preset = presetId;
+
+    // Snapshot where every value starts from
+    const from = {
+      background: this.scene.background.clone(),
+      exposure: this.exposure,
+      environment: this.environmentIntensity,
+      lights: {},
+    };
+    Object.entries(this.lights).forEach(([key, light]) => {
+      from.lights[key] = {
+        color: light.color.clone(),
+        intensity: this.baseIntensity[key],
+        position: light.position.clone(),
+      };
+    });
+
+    const toBackground = new THREE.Color(preset.background);
+    const toPosition = new THREE.Vector3();
+    const lerp = THREE.MathUtils.lerp;
+
+    this.transition = this.scheduler.tween({
+      duration,
+      easing: Easing.easeInOutQuad,
+      onUpdate: (eased) => {
+        this.scene.background.lerpColors(from.background, toBackground, eased);
+        if (this.scene.fog) this.scene.fog.color.copy(this.scene.background);
+        this.exposure = lerp(from.exposure, preset.exposure, eased);
+        this.applyExposure();
+        this.setEnvironmentIntensity(
+          lerp(from.environment, preset.environment, eased)
+        );
+
+        Object.entries(preset.lights).forEach(([key, target]) => {
+          const light = this.lights[key];
+          const start = from.lights[key];
+
+          light.color.lerpColors(
+            start.color,
+            new THREE.Color(target.color),
+            eased
+          );
+          this.baseIntensity[key] = lerp(
+            start.intensity,
+            target.intensity,
+            eased
+          );
+          light.intensity = this.baseIntensity[key];
+
+          if (target.position) {
+            toPosition.fromArray(target.position);
+            light.position.lerpVectors(start.position, toPosition, eased);
+          }
+        });
+      },
+      onComplete: () => {
+        this.transition = null;
+      },
+    });
+  }
+
+  /**
+   * Brighten or darken every preset, e.g. from an exposure slider
+   * @param {number} scale - Factor on the preset's exposure, 1 for as designed
+   */
+  setExposureScale(scale) {
+    this.exposureScale = scale;
+    this.applyExposure();
+  }
+
+  applyExposure() {
+    this.renderer.toneMappingExposure = this.exposure * this.exposureScale;
+  }
+
+  /**
+   * Set how strongly materials reflect the environment map
+   * @param {number} intensity - Environment map intensity
+   */
+  setEnvironmentIntensity(intensity) {
+    this.environmentIntensity = intensity;
+    this.applyEnvironmentIntensity(this.scene);
+  }
+
+  /**
+   * Apply the current environment intensity to the materials under an
+   * object, e.g. after a product was loaded
+   * @param {THREE.Object3D} root - Object to update
+   */
+  applyEnvironmentIntensity(root) {
+    root.traverse((object) => {
+      const materials = Array.isArray(object.material)
+        ? object.material
+        : [object.material];
+      materials.forEach((material) => {
+        if (material && "envMapIntensity" in material) {
+          material.envMapIntensity = this.environmentIntensity;
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove the environment map
+   */
+  dispose() {
+    if (this.transition) this.transition.cancel();
+    if (this.scene.environment === this.environmentMap) {
+      this.scene.environment = null;
+    }
+    this.environmentMap.dispose();
+  }
 }
 
 /**
  * Create environment elements (ground, background elements)
  * @param {THREE.Scene} scene - The Three.js scene
+ * @param {AnimationScheduler} scheduler - Scheduler driving the background
  */
-function createEnvironment(scene) {
+function createEnvironment(scene, scheduler) {
   const groundGeometry = new THREE.PlaneGeometry(20, 20);
   const groundMaterial = new THREE.MeshStandardMaterial({
     color: 0x1a1a1a,
@@ -71,18 +324,21 @@ function createEnvironment(scene) {
   ground.position.y = -0.1;
   ground.receiveShadow = true;
   ground.name = "ground";
+  ground.userData.isBackdrop = true;
   scene.add(ground);
 
-  createBackgroundElements(scene);
+  createBackgroundElements(scene, scheduler);
 }
 
 /**
  * Create background geometric elements
  * @param {THREE.Scene} scene - The Three.js scene
+ * @param {AnimationScheduler} scheduler - Scheduler driving the rotation
  */
-function createBackgroundElements(scene) {
+function createBackgroundElements(scene, scheduler) {
   const backgroundGroup = new THREE.Group();
   backgroundGroup.name = "background_elements";
+  backgroundGroup.userData.isBackdrop = true;
   const shapes = [
     { geometry: new THREE.TetrahedronGeometry(0.3), position: [-8, 3, -5] },
     { geometry: new THREE.OctahedronGeometry(0.2), position: [7, 4, -6] },
@@ -104,54 +360,44 @@ function createBackgroundElements(scene) {
     mesh.name = `background_shape_${index}`;
     backgroundGroup.add(mesh);
 
-    // Add rotation animation
+    // Add rotation animation (radians per second)
     mesh.userData.rotationSpeed = {
-      x: (Math.random() - 0.5) * 0.02,
-      y: (Math.random() - 0.5) * 0.02,
-      z: (Math.random() - 0.5) * 0.02,
+      x: (Math.random() - 0.5) * 1.2,
+      y: (Math.random() - 0.5) * 1.2,
+      z: (Math.random() - 0.5) * 1.2,
     };
   });
 
   scene.add(backgroundGroup);
-  function animateBackground() {
+  function animateBackground(delta) {
     backgroundGroup.children.forEach((child) => {
       if (child.userData.rotationSpeed) {
-        child.rotation.x += child.userData.rotationSpeed.x;
-        child.rotation.y += child.userData.rotationSpeed.y;
-        child.rotation.z += child.userData.rotationSpeed.z;
+        child.rotation.x += child.userData.rotationSpeed.x * delta;
+        child.rotation.y += child.userData.rotationSpeed.y * delta;
+        child.rotation.z += child.userData.rotationSpeed.z * delta;
       }
     });
-    requestAnimationFrame(animateBackground);
   }
-  animateBackground();
+  scheduler.add(animateBackground, { channel: "ambient" });
 }
 
 /**
  * Add dynamic lighting effects
- * @param {THREE.Scene} scene - The Three.js scene
+ * @param {LightingController} lighting - Rig whose rim and fill lights flicker
+ * @param {AnimationScheduler} scheduler - Scheduler driving the flicker
  */
-function addDynamicLighting(scene) {
-  const lights = [];
-  scene.traverse((object) => {
-    if (object.isDirectionalLight || object.isSpotLight) {
-      lights.push(object);
-    }
-  });
-
+function addDynamicLighting(lighting, scheduler) {
+  const { fill, rim } = lighting.lights;
   let time = 0;
 
-  function animateLights() {
-    time += 0.01;
-
-    lights.forEach((light, index) => {
-      if (light.name === "rim_light") {
-        light.intensity = 0.4 + Math.sin(time + index) * 0.1;
-      } else if (light.name === "fill_light") {
-        light.intensity = 0.5 + Math.cos(time * 0.7 + index) * 0.1;
-      }
-    });
+  // Subtle flicker around the preset's intensities
+  function animateLights(delta) {
+    time += delta * 0.6;
 
-    requestAnimationFrame(animateLights);
+    rim.intensity =
+      lighting.baseIntensity.rim * (1 + Math.sin(time + 2) * 0.25);
+    fill.intensity =
+      lighting.baseIntensity.fill * (1 + Math.cos(time * 0.7 + 1) * 0.2);
   }
-  animateLights();
+  scheduler.add(animateLights, { channel: "ambient" });
 }
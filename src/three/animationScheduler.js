@@ -0,0 +1,196 @@
+/**
+ * Easing functions mapping linear progress (0-1) to eased progress
+ */
+export const Easing = {
+  linear: (t) => t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeInOutCubic: (t) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+};
+
+// Longest step taken in one frame, so a backgrounded tab doesn't jump ahead
+const MAX_DELTA = 0.1;
+
+/**
+ * Single clock for every animation in the viewer.
+ *
+ * `update()` is called once per frame from the render loop and advances
+ * per-frame tasks and tweens by the elapsed (scaled) time. Channels group
+ * tasks, e.g. "ambient" motion that reduced-motion mode switches off. In
+ * manual mode frames only advance through `step()`, which makes animations
+ * deterministic in tests.
+ */
+export class AnimationScheduler {
+  constructor() {
+    this.tasks = new Set();
+    this.tweens = new Set();
+    this.disabledChannels = new Set();
+
+    this.paused = false;
+    this.manual = false;
+    this.timeScale = 1;
+    this.elapsed = 0;
+    this.lastTime = null;
+  }
+
+  /**
+   * Register a callback that runs every frame. Returning `false` from the
+   * callback removes it.
+   * @param {Function} update - Called with (delta, elapsed) in seconds
+   * @param {Object} [options]
+   * @param {string} [options.channel="default"] - Channel the task belongs to
+   * @returns {Function} Removes the task
+   */
+  add(update, { channel = "default" } = {}) {
+    const task = { update, channel };
+    this.tasks.add(task);
+    return () => this.tasks.delete(task);
+  }
+
+  /**
+   * Start a tween
+   * @param {Object} options
+   * @param {number} options.duration - Duration in ms
+   * @param {Function} options.onUpdate - Called with eased progress (0-1)
+   * @param {Function} [options.onComplete] - Called after the last update
+   * @param {Function} [options.easing=Easing.easeOutCubic] - Easing function
+   * @param {string} [options.channel="default"] - Channel the tween belongs to
+   * @returns {Object} Handle with `cancel()` and `isActive()`
+   */
+  tween({
+    duration,
+    onUpdate,
+    onComplete,
+    easing = Easing.easeOutCubic,
+    channel = "default",
+  }) {
+    const tween = {
+      duration,
+      onUpdate,
+      onComplete,
+      easing,
+      channel,
+      time: 0,
+    };
+    this.tweens.add(tween);
+
+    return {
+      cancel: () => this.tweens.delete(tween),
+      isActive: () => this.tweens.has(tween),
+    };
+  }
+
+  /**
+   * Advance by the real time since the last frame (called in animation loop)
+   * @param {number} [now=performance.now()] - Current time in ms
+   * @returns {boolean} Whether anything was animated
+   */
+  update(now = performance.now()) {
+    const delta = this.lastTime === null ? 0 : (now - this.lastTime) / 1000;
+    this.lastTime = now;
+
+    if (this.manual) return false;
+    return this.step(Math.min(delta, MAX_DELTA));
+  }
+
+  /**
+   * Advance all animations by a fixed amount of time
+   * @param {number} delta - Seconds to advance, before time scaling
+   * @returns {boolean} Whether anything was animated
+   */
+  step(delta) {
+    if (this.paused) return false;
+
+    const scaledDelta = delta * this.timeScale;
+    this.elapsed += scaledDelta;
+    let animated = false;
+
+    this.tasks.forEach((task) => {
+      if (this.disabledChannels.has(task.channel)) return;
+
+      animated = true;
+      if (task.update(scaledDelta, this.elapsed) === false) {
+        this.tasks.delete(task);
+      }
+    });
+
+    this.tweens.forEach((tween) => {
+      if (this.disabledChannels.has(tween.channel)) return;
+
+      animated = true;
+      tween.time += scaledDelta * 1000;
+      const progress =
+        tween.duration > 0 ? Math.min(tween.time / tween.duration, 1) : 1;
+      tween.onUpdate(tween.easing(progress));
+
+      if (progress === 1) {
+        this.tweens.delete(tween);
+        if (tween.onComplete) tween.onComplete();
+      }
+    });
+
+    return animated;
+  }
+
+  /**
+   * @returns {boolean} Whether a tween on an enabled channel is running;
+   * paused or manually stepped tweens don't run on their own
+   */
+  isTweening() {
+    if (this.paused || this.manual) return false;
+    return [...this.tweens].some(
+      (tween) => !this.disabledChannels.has(tween.channel)
+    );
+  }
+
+  /**
+   * Freeze every animation until `resume()`
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Continue after `pause()`
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * @param {number} timeScale - Speed multiplier, 1 is real time
+   */
+  setTimeScale(timeScale) {
+    this.timeScale = Math.max(0, timeScale);
+  }
+
+  /**
+   * Only advance through `step()`, ignoring the real clock
+   * @param {boolean} manual
+   */
+  setManual(manual) {
+    this.manual = manual;
+  }
+
+  /**
+   * Switch every task and tween of a channel on or off
+   * @param {string} channel - Channel name
+   * @param {boolean} enabled
+   */
+  setChannelEnabled(channel, enabled) {
+    if (enabled) {
+      this.disabledChannels.delete(channel);
+    } else {
+      this.disabledChannels.add(channel);
+    }
+  }
+
+  /**
+   * Drop every task and tween
+   */
+  clear() {
+    this.tasks.clear();
+    this.tweens.clear();
+  }
+}
@@ -1,8 +1,13 @@
 import * as THREE from "three";
+import { Easing } from "./animationScheduler.js";
+
 export class CameraAnimator {
-  constructor(camera, controls) {
+  constructor(camera, controls, scheduler) {
     this.camera = camera;
     this.controls = controls;
+    this.scheduler = scheduler;
+    this.transition = null;
+    this.reducedMotion = false;
     this.isAutoRotating = true;
     this.rotationSpeed = 0.5;
     this.radius = 8;
@@ -12,7 +17,10 @@ export class CameraAnimator {
     this.initialPosition = this.camera.position.clone();
     this.initialTarget = new THREE.Vector3(0, 0, 0);
 
-    this.clock = new THREE.Clock();
+    // Camera view to return to after focusing on a part or bookmark
+    this.overview = null;
+    this.defaultMinDistance = controls ? controls.minDistance : 0;
+
     this.time = 0;
 
     this.verticalMotion = {
@@ -26,10 +34,14 @@ export class CameraAnimator {
     };
   }
 
-  update() {
-    if (!this.isAutoRotating) return;
+  /**
+   * Advance the auto-rotation (called in animation loop)
+   * @param {number} delta - Seconds since the last frame
+   */
+  update(delta) {
+    // Camera transitions take precedence over the orbit
+    if (!this.isAutoRotating || this.isTransitioning()) return;
 
-    const delta = this.clock.getDelta();
     this.time += delta;
 
     this.angle += (this.rotationSpeed * delta * Math.PI) / 180;
@@ -70,7 +82,9 @@ export class CameraAnimator {
       this.resumeAutoRotation();
     }
   }
+
   reset() {
+    this.clearFocus();
     this.angle = 0;
     this.time = 0;
     this.radius = 8;
@@ -92,44 +106,223 @@ export class CameraAnimator {
    * @param {THREE.Vector3} targetPosition - Target position
    * @param {THREE.Vector3} targetLookAt - Target look-at point
    * @param {number} duration - Animation duration in ms
+   * @param {Function} [onComplete] - Called when the camera has arrived
    */
-  animateToPosition(targetPosition, targetLookAt, duration = 1000) {
+  animateToPosition(targetPosition, targetLookAt, duration = 1000, onComplete) {
+    if (this.reducedMotion) duration = 0;
+
     const startPosition = this.camera.position.clone();
     const startLookAt = this.controls
       ? this.controls.target.clone()
       : new THREE.Vector3(0, 0, 0);
-    const startTime = Date.now();
+    const currentLookAt = new THREE.Vector3();
 
-    const animate = () => {
-      const elapsed = Date.now() - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      const eased =
-        progress < 0.5
-          ? 2 * progress * progress
-          : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+    if (this.transition) this.transition.cancel();
 
-      this.camera.position.lerpVectors(startPosition, targetPosition, eased);
+    this.transition = this.scheduler.tween({
+      duration,
+      easing: Easing.easeInOutCubic,
+      onUpdate: (eased) => {
+        this.camera.position.lerpVectors(startPosition, targetPosition, eased);
+        currentLookAt.lerpVectors(startLookAt, targetLookAt, eased);
 
-      if (this.controls) {
-        this.controls.target.lerpVectors(startLookAt, targetLookAt, eased);
-        this.controls.update();
-      } else {
-        const currentLookAt = new THREE.Vector3().lerpVectors(
-          startLookAt,
-          targetLookAt,
-          eased
-        );
-        this.camera.lookAt(currentLookAt);
-      }
-
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      } else {
+        if (this.controls) {
+          this.controls.target.copy(currentLookAt);
+          this.controls.update();
+        } else {
+          this.camera.lookAt(currentLookAt);
+        }
+      },
+      onComplete: () => {
+        this.transition = null;
         this.syncAngleWithPosition();
-      }
-    };
+        if (onComplete) onComplete();
+      },
+    });
+  }
+
+  /**
+   * Frame an object's bounding box, keeping the current viewing direction
+   * @param {THREE.Object3D} object - Object to focus on
+   * @param {number} duration - Animation duration in ms
+   */
+  focusOnObject(object, duration = 1000) {
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return;
+
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+
+    // Fit the sphere into the narrower of the two fields of view
+    const verticalFov = THREE.MathUtils.degToRad(this.camera.fov);
+    const horizontalFov =
+      2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+    const fov = Math.min(verticalFov, horizontalFov);
+    const distance = (sphere.radius / Math.sin(fov / 2)) * 1.2;
+
+    const currentTarget = this.controls
+      ? this.controls.target
+      : new THREE.Vector3(0, 0, 0);
+    const direction = this.camera.position.clone().sub(currentTarget);
+    if (direction.lengthSq() < 1e-6) direction.set(0, 0, 1);
+    direction.normalize();
+
+    this.focusOnView(
+      sphere.center.clone().addScaledVector(direction, distance),
+      sphere.center,
+      duration
+    );
+  }
+
+  /**
+   * Move to a manifest camera bookmark
+   * @param {Object} bookmark - Bookmark with `position` and `target` arrays
+   * @param {THREE.Object3D} productGroup - Product the bookmark is relative to
+   * @param {number} duration - Animation duration in ms
+   */
+  focusOnBookmark(bookmark, productGroup, duration = 1000) {
+    productGroup.updateWorldMatrix(true, false);
+
+    this.focusOnView(
+      productGroup.localToWorld(
+        new THREE.Vector3().fromArray(bookmark.position)
+      ),
+      productGroup.localToWorld(new THREE.Vector3().fromArray(bookmark.target)),
+      duration
+    );
+  }
+
+  /**
+   * Move to a close-up view, remembering the current view as the overview
+   * @param {THREE.Vector3} position - Camera position
+   * @param {THREE.Vector3} target - Look-at point
+   * @param {number} duration - Animation duration in ms
+   */
+  focusOnView(position, target, duration = 1000) {
+    // Keep the first overview when moving from one focus to the next
+    if (!this.overview) {
+      this.overview = {
+        position: this.camera.position.clone(),
+        target: this.controls
+          ? this.controls.target.clone()
+          : new THREE.Vector3(0, 0, 0),
+      };
+    }
+
+    this.pauseAutoRotation();
+
+    // Let the controls come as close as the focused view needs
+    if (this.controls) {
+      this.controls.minDistance = Math.min(
+        this.defaultMinDistance,
+        position.distanceTo(target) * 0.5
+      );
+    }
+
+    this.animateToPosition(position.clone(), target.clone(), duration);
+  }
+
+  /**
+   * Animate back to the view from before the first focus
+   * @param {number} duration - Animation duration in ms
+   */
+  returnToOverview(duration = 1000) {
+    if (!this.overview) return;
+
+    const { position, target } = this.overview;
+    this.overview = null;
+
+    // Restore the zoom limit once the camera is back out of range
+    this.animateToPosition(position, target, duration, () => {
+      if (!this.overview) this.clearFocus();
+    });
+  }
+
+  /**
+   * Forget the overview and restore the normal zoom limit
+   */
+  clearFocus() {
+    this.overview = null;
+    if (this.controls) {
+      this.controls.minDistance = this.defaultMinDistance;
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether the camera is focused on a part or bookmark
+   */
+  isFocused() {
+    return this.overview !== null;
+  }
+
+  /**
+   * Orbit around the controls' target, e.g. from the keyboard
+   * @param {number} azimuth - Radians to turn around the vertical axis
+   * @param {number} polar - Radians to tilt; positive looks from further down
+   */
+  orbitBy(azimuth, polar) {
+    if (!this.controls) return;
+
+    this.stopTransition();
+    const offset = this.camera.position.clone().sub(this.controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.theta += azimuth;
+    spherical.phi = THREE.MathUtils.clamp(
+      spherical.phi + polar,
+      this.controls.minPolarAngle,
+      this.controls.maxPolarAngle
+    );
+    spherical.makeSafe();
+
+    this.camera.position
+      .copy(this.controls.target)
+      .add(offset.setFromSpherical(spherical));
+    this.controls.update();
+  }
+
+  /**
+   * Move towards or away from the controls' target within the zoom limits
+   * @param {number} scale - Distance multiplier, below 1 zooms in
+   */
+  zoomBy(scale) {
+    if (!this.controls) return;
+
+    this.stopTransition();
+    const offset = this.camera.position.clone().sub(this.controls.target);
+    const distance = THREE.MathUtils.clamp(
+      offset.length() * scale,
+      this.controls.minDistance,
+      this.controls.maxDistance
+    );
+
+    this.camera.position
+      .copy(this.controls.target)
+      .add(offset.setLength(distance));
+    this.controls.update();
+  }
 
-    animate();
+  /**
+   * Jump instead of animating camera transitions
+   * @param {boolean} enabled
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+  }
+
+  /**
+   * Stop a running camera transition where it is
+   */
+  stopTransition() {
+    if (this.transition) {
+      this.transition.cancel();
+      this.transition = null;
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether a camera transition is running
+   */
+  isTransitioning() {
+    return this.transition !== null;
   }
 
   /**
@@ -168,11 +361,16 @@ export class CameraAnimator {
       height: this.height,
       angle: this.angle,
       time: this.time,
+      position: this.camera.position.toArray(),
+      target: this.controls
+        ? this.controls.target.toArray()
+        : this.initialTarget.toArray(),
     };
   }
 
   /**
-   * Set animation state
+   * Set animation state. `position` and `target` arrays, when given, move the
+   * camera there immediately and end any focus.
    * @param {Object} state - Animation state object
    */
   setState(state) {
@@ -182,5 +380,18 @@ export class CameraAnimator {
     this.height = state.height || 3;
     this.angle = state.angle || 0;
     this.time = state.time || 0;
+
+    if (state.position && state.target) {
+      this.stopTransition();
+      this.clearFocus();
+      this.camera.position.fromArray(state.position);
+      if (this.controls) {
+        this.controls.target.fromArray(state.target);
+        this.controls.update();
+      } else {
+        this.camera.lookAt(new THREE.Vector3().fromArray(state.target));
+      }
+      this.syncAngleWithPosition();
+    }
   }
 }
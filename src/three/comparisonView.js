@@ -0,0 +1,209 @@
+import * as THREE from "three";
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { ProductConfigurator } from "./configurator.js";
+import { removeProducts } from "./loadProduct.js";
+
+// Orbit settings the second camera shares with the live one
+const CONTROL_SETTINGS = [
+  "enableDamping",
+  "dampingFactor",
+  "screenSpacePanning",
+  "minDistance",
+  "maxDistance",
+  "maxPolarAngle",
+];
+
+/**
+ * Split screen that shows a second product, or a second configuration of the
+ * same one, next to the live product: the live product on the left, the
+ * comparison on the right.
+ *
+ * Both products stand in the same scene and light; each side hides the other
+ * side's product while it is drawn. While the cameras are locked, the right
+ * side is drawn from the live camera, so orbiting (or auto-rotating) either
+ * side turns both. Unlocked, the right side has its own camera and orbit
+ * controls, and each side's controls take the gestures that start on it.
+ * Dispatches "change" when the right side needs a new frame.
+ */
+export class ComparisonView extends THREE.EventDispatcher {
+  /**
+   * @param {Object} product - `{productGroup, productParts, manifest}` of the
+   * comparison product, loaded into a scene of its own
+   * @param {Object} options
+   * @param {THREE.Scene} options.scene - Scene of the live view
+   * @param {THREE.PerspectiveCamera} options.camera - Camera of the live view
+   * @param {OrbitControls} options.controls - Orbit controls of the live view
+   * @param {CSS2DRenderer} options.labelRenderer - Label layer of the live
+   * view, kept over the left side
+   * @param {RenderPipeline} options.pipeline - Pipeline drawing both sides
+   * @param {HTMLCanvasElement} options.canvas - Canvas of the live view
+   * @param {AnimationScheduler} options.scheduler - Scheduler updating the
+   * second camera's controls
+   */
+  constructor(
+    product,
+    { scene, camera, controls, labelRenderer, pipeline, canvas, scheduler }
+  ) {
+    super();
+
+    this.productGroup = product.productGroup;
+    this.productParts = product.productParts;
+    this.manifest = product.manifest;
+    this.liveCamera = camera;
+    this.liveControls = controls;
+    this.labelRenderer = labelRenderer;
+    this.pipeline = pipeline;
+    this.renderer = pipeline.renderer;
+    this.canvas = canvas;
+    this.locked = true;
+
+    // Kept out of the scene's direct children, where products are looked up
+    this.group = new THREE.Group();
+    this.group.name = "comparison";
+    this.group.visible = false;
+    this.group.add(this.productGroup);
+    scene.add(this.group);
+    this.scene = scene;
+
+    this.configurator = new ProductConfigurator(
+      this.productParts,
+      this.manifest ? this.manifest.variantGroups : []
+    );
+    this.configurator.addEventListener("change", () => {
+      this.dispatchEvent({ type: "change" });
+    });
+
+    this.camera = camera.clone();
+    this.controls = new OrbitControls(this.camera, canvas);
+    CONTROL_SETTINGS.forEach((key) => {
+      this.controls[key] = controls[key];
+    });
+    this.controls.target.copy(controls.target);
+    this.controls.enabled = false;
+    this.controls.addEventListener("change", () => {
+      this.dispatchEvent({ type: "change" });
+    });
+
+    // Runs before the orbit controls' own listeners on the canvas
+    this.onPointerDown = this.routeGesture.bind(this);
+    canvas.addEventListener("pointerdown", this.onPointerDown, true);
+    canvas.addEventListener("wheel", this.onPointerDown, true);
+
+    this.removeTask = scheduler.add(() => {
+      if (!this.locked) this.controls.update();
+    });
+
+    this.left = new THREE.Vector4();
+    this.right = new THREE.Vector4();
+    this.resize();
+  }
+
+  /**
+   * Lock the cameras together, or give the right side its own camera that
+   * starts from the live view
+   * @param {boolean} locked - Whether orbiting one side orbits both
+   */
+  setLocked(locked) {
+    if (locked === this.locked) return;
+    this.locked = locked;
+
+    if (!locked) {
+      this.camera.position.copy(this.liveCamera.position);
+      this.camera.quaternion.copy(this.liveCamera.quaternion);
+      this.controls.target.copy(this.liveControls.target);
+      this.controls.update();
+    }
+
+    this.controls.enabled = false;
+    this.liveControls.enabled = true;
+    this.dispatchEvent({ type: "change" });
+  }
+
+  /**
+   * Hand a gesture to the controls of the side it starts on
+   * @param {PointerEvent|WheelEvent} event - Pointer down or wheel event
+   */
+  routeGesture(event) {
+    if (this.locked) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const onRight = event.clientX - rect.left > rect.width / 2;
+    this.liveControls.enabled = !onRight;
+    this.controls.enabled = onRight;
+  }
+
+  /**
+   * Split the canvas into two sides, e.g. after it was resized
+   */
+  resize() {
+    const size = this.renderer.getSize(new THREE.Vector2());
+    const width = Math.floor(size.x / 2);
+
+    this.left.set(0, 0, width, size.y);
+    this.right.set(size.x - width, 0, width, size.y);
+    this.pipeline.setViewport(this.left);
+
+    [this.liveCamera, this.camera].forEach((camera) => {
+      camera.aspect = width / size.y;
+      camera.updateProjectionMatrix();
+    });
+    this.labelRenderer.setSize(width, size.y);
+  }
+
+  /**
+   * Draw both sides. The comparison product follows the live product's idle
+   * motion, so both turn together.
+   * @param {THREE.Group} liveGroup - Root of the live product
+   */
+  render(liveGroup) {
+    this.productGroup.position.copy(liveGroup.position);
+    this.productGroup.quaternion.copy(liveGroup.quaternion);
+
+    this.pipeline.setViewport(this.left);
+    this.pipeline.render(this.liveCamera);
+
+    const liveVisible = liveGroup.visible;
+    liveGroup.visible = false;
+    this.group.visible = true;
+    try {
+      this.pipeline.setViewport(this.right);
+      this.pipeline.render(this.locked ? this.liveCamera : this.camera);
+    } finally {
+      liveGroup.visible = liveVisible;
+      this.group.visible = false;
+    }
+  }
+
+  /**
+   * @returns {Object} `{product, configuration, locked}` of the right side
+   */
+  getState() {
+    return {
+      product: this.manifest ? this.manifest.id : null,
+      configuration: this.configurator.getConfiguration(),
+      locked: this.locked,
+    };
+  }
+
+  /**
+   * Remove the comparison product and give the whole canvas back to the live
+   * view
+   */
+  dispose() {
+    this.removeTask();
+    this.canvas.removeEventListener("pointerdown", this.onPointerDown, true);
+    this.canvas.removeEventListener("wheel", this.onPointerDown, true);
+    this.controls.dispose();
+    this.liveControls.enabled = true;
+
+    this.configurator.dispose();
+    removeProducts(this.group);
+    this.scene.remove(this.group);
+
+    const size = this.renderer.getSize(new THREE.Vector2());
+    this.pipeline.setViewport(null);
+    this.liveCamera.aspect = size.x / size.y;
+    this.liveCamera.updateProjectionMatrix();
+    this.labelRenderer.setSize(size.x, size.y);
+  }
+}
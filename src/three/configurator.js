@@ -0,0 +1,138 @@
+import * as THREE from "three";
+import { FINISHES } from "../products/manifest.js";
+import { setPartMaterial } from "./createProduct.js";
+
+/**
+ * Applies named material variants to groups of product parts.
+ *
+ * Every variant group owns one material shared by its parts. Switching a
+ * variant updates that material in place; it is stored as `part.material`
+ * and shown whenever the part isn't ghosted.
+ */
+export class ProductConfigurator extends THREE.EventDispatcher {
+  /**
+   * @param {Array} productParts - Product parts
+   * @param {Array} [variantGroups] - Variant groups from the product manifest
+   */
+  constructor(productParts, variantGroups = []) {
+    super();
+
+    this.groups = new Map();
+
+    const partsById = new Map(productParts.map((part) => [part.id, part]));
+
+    variantGroups.forEach((definition) => {
+      const parts = definition.parts
+        .map((partId) => partsById.get(partId))
+        .filter(Boolean);
+      if (parts.length === 0) return;
+
+      const material = parts[0].material.clone();
+      material.name = `${definition.id}_variant_material`;
+
+      parts.forEach((part) => {
+        part.material = material;
+        part.meshes.forEach((mesh) => part.meshMaterials.set(mesh, material));
+        setPartMaterial(part, null);
+      });
+
+      this.groups.set(definition.id, {
+        definition,
+        parts,
+        material,
+        // Variants without a finish keep the part's own surface
+        base: { roughness: material.roughness, metalness: material.metalness },
+        variantId: null,
+      });
+
+      this.setVariant(
+        definition.id,
+        definition.default || definition.variants[0].id
+      );
+    });
+  }
+
+  /**
+   * Switch a group to one of its variants
+   * @param {string} groupId - Variant group id
+   * @param {string} variantId - Variant id
+   */
+  setVariant(groupId, variantId) {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      throw new Error(`Unknown variant group "${groupId}"`);
+    }
+
+    const variant = group.definition.variants.find((v) => v.id === variantId);
+    if (!variant) {
+      throw new Error(`Unknown variant "${variantId}" for group "${groupId}"`);
+    }
+
+    const finish = FINISHES[variant.finish] || {};
+    group.material.color.set(variant.color);
+    group.material.roughness =
+      variant.roughness ?? finish.roughness ?? group.base.roughness;
+    group.material.metalness =
+      variant.metalness ?? finish.metalness ?? group.base.metalness;
+    group.variantId = variantId;
+
+    this.dispatchEvent({ type: "change", groupId, variantId });
+  }
+
+  /**
+   * Apply several variants at once, ignoring unknown groups and variants
+   * @param {Object} configuration - Variant ids keyed by group id
+   */
+  setConfiguration(configuration) {
+    Object.entries(configuration).forEach(([groupId, variantId]) => {
+      const group = this.groups.get(groupId);
+      if (group && group.definition.variants.some((v) => v.id === variantId)) {
+        this.setVariant(groupId, variantId);
+      }
+    });
+  }
+
+  /**
+   * Get the current configuration
+   * @returns {Object} Selected variant id keyed by group id
+   */
+  getConfiguration() {
+    const configuration = {};
+    this.groups.forEach((group, groupId) => {
+      configuration[groupId] = group.variantId;
+    });
+    return configuration;
+  }
+
+  /**
+   * @param {Object} part - Product part
+   * @returns {Object|null} Selected variant of the part's group, or null if
+   * the part isn't configurable
+   */
+  getPartVariant(part) {
+    for (const group of this.groups.values()) {
+      if (group.parts.includes(part)) {
+        return group.definition.variants.find((v) => v.id === group.variantId);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the groups and their variants, e.g. to build a swatch UI
+   * @returns {Array} Group descriptions with the selected variant id
+   */
+  getGroups() {
+    return Array.from(this.groups.values()).map((group) => ({
+      id: group.definition.id,
+      name: group.definition.name,
+      variants: group.definition.variants,
+      variantId: group.variantId,
+    }));
+  }
+
+  dispose() {
+    this.groups.forEach((group) => group.material.dispose());
+    this.groups.clear();
+  }
+}
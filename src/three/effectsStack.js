@@ -0,0 +1,177 @@
+import * as THREE from "three";
+import { GTAOPass } from "three/examples/jsm/postprocessing/GTAOPass.js";
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass.js";
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
+import { SMAAPass } from "three/examples/jsm/postprocessing/SMAAPass.js";
+import { FXAAShader } from "three/examples/jsm/shaders/FXAAShader.js";
+
+/**
+ * Tone mapping operators that can be picked at runtime
+ */
+export const TONE_MAPPINGS = {
+  aces: { name: "ACES Filmic", toneMapping: THREE.ACESFilmicToneMapping },
+  agx: { name: "AgX", toneMapping: THREE.AgXToneMapping },
+  reinhard: { name: "Reinhard", toneMapping: THREE.ReinhardToneMapping },
+  cineon: { name: "Cineon", toneMapping: THREE.CineonToneMapping },
+  none: { name: "None", toneMapping: THREE.NoToneMapping },
+};
+
+/**
+ * Screen-space antialiasing used while the quality tier has no MSAA
+ */
+export const ANTIALIASING_MODES = {
+  fxaa: "FXAA",
+  smaa: "SMAA",
+  off: "Off",
+};
+
+export const DEFAULT_EFFECTS = {
+  ambientOcclusion: false,
+  bloom: false,
+  antialiasing: "fxaa",
+  toneMapping: "aces",
+};
+
+// Bloom only picks up highlights brighter than the threshold, e.g. on metal
+const BLOOM_STRENGTH = 0.3;
+const BLOOM_RADIUS = 0.4;
+const BLOOM_THRESHOLD = 0.9;
+
+/**
+ * FXAA needs the size of a pixel, which the composer passes in on resize
+ */
+class FXAAPass extends ShaderPass {
+  constructor() {
+    super(FXAAShader);
+  }
+
+  setSize(width, height) {
+    this.material.uniforms.resolution.value.set(1 / width, 1 / height);
+  }
+}
+
+/**
+ * Optional post-processing on top of the render pipeline: ambient occlusion,
+ * bloom, screen-space antialiasing and the tone mapping operator. Each effect
+ * can be switched at runtime; the expensive ones (ambient occlusion and
+ * bloom) also need the current quality tier to allow them, so stepping down a
+ * tier on a slow device drops them first.
+ */
+export class EffectsStack {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer of the live view
+   * @param {THREE.Scene} scene - Scene to draw
+   * @param {THREE.PerspectiveCamera} camera - Camera of the live view
+   * @param {RenderPipeline} pipeline - Pipeline the passes are added to
+   * @param {Object} [settings] - Overrides of `DEFAULT_EFFECTS`
+   */
+  constructor(renderer, scene, camera, pipeline, settings = {}) {
+    this.renderer = renderer;
+    this.pipeline = pipeline;
+    this.settings = { ...DEFAULT_EFFECTS };
+    this.tier = null;
+
+    // The composer sizes the passes once they are added
+    this.aoPass = new GTAOPass(scene, camera);
+    this.bloomPass = new UnrealBloomPass(
+      new THREE.Vector2(256, 256),
+      BLOOM_STRENGTH,
+      BLOOM_RADIUS,
+      BLOOM_THRESHOLD
+    );
+    this.antialiasPasses = {
+      fxaa: new FXAAPass(),
+      smaa: new SMAAPass(256, 256),
+    };
+
+    pipeline.addPass(this.aoPass);
+    pipeline.addPass(this.bloomPass);
+
+    this.set(settings);
+  }
+
+  /**
+   * Change some of the effects
+   * @param {Object} settings - Fields of `DEFAULT_EFFECTS` to change
+   */
+  set(settings) {
+    this.settings = this.validate(settings);
+    this.apply();
+  }
+
+  /**
+   * Check changes without applying them
+   * @param {Object} settings - Fields of `DEFAULT_EFFECTS` to change
+   * @returns {Object} The settings the changes would lead to
+   */
+  validate(settings) {
+    const next = { ...this.settings, ...settings };
+
+    ["ambientOcclusion", "bloom"].forEach((effect) => {
+      if (typeof next[effect] !== "boolean") {
+        throw new Error(
+          `Invalid ${effect} "${next[effect]}", use true or false`
+        );
+      }
+    });
+    if (!ANTIALIASING_MODES[next.antialiasing]) {
+      throw new Error(`Unknown antialiasing mode "${next.antialiasing}"`);
+    }
+    if (!TONE_MAPPINGS[next.toneMapping]) {
+      throw new Error(`Unknown tone mapping "${next.toneMapping}"`);
+    }
+
+    return next;
+  }
+
+  /**
+   * @returns {Object} Current settings, in the shape of `DEFAULT_EFFECTS`
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Limit the expensive effects to what a quality tier allows
+   * @param {Object} tier - Entry of `QUALITY_TIERS`
+   */
+  setTier(tier) {
+    this.tier = tier;
+    this.apply();
+  }
+
+  /**
+   * @param {string} effect - "ambientOcclusion" or "bloom"
+   * @returns {boolean} Whether the effect is switched on and the quality tier
+   * allows it
+   */
+  isActive(effect) {
+    return this.settings[effect] && (!this.tier || this.tier[effect]);
+  }
+
+  /**
+   * Enable the passes and set the tone mapping from the current settings
+   */
+  apply() {
+    this.aoPass.enabled = this.isActive("ambientOcclusion");
+    this.bloomPass.enabled = this.isActive("bloom");
+    this.pipeline.setAntialiasPass(
+      this.antialiasPasses[this.settings.antialiasing] || null
+    );
+    this.renderer.toneMapping =
+      TONE_MAPPINGS[this.settings.toneMapping].toneMapping;
+  }
+
+  /**
+   * Remove the passes from the pipeline and free their render targets
+   */
+  dispose() {
+    this.pipeline.removePass(this.aoPass);
+    this.pipeline.removePass(this.bloomPass);
+    this.pipeline.setAntialiasPass(null);
+
+    this.aoPass.dispose();
+    this.bloomPass.dispose();
+    Object.values(this.antialiasPasses).forEach((pass) => pass.dispose());
+  }
+}
@@ -0,0 +1,127 @@
+import * as THREE from "three";
+import { Easing } from "./animationScheduler.js";
+
+/**
+ * Moves product parts apart from the product's center to show how it is built
+ */
+export class ExplodedView {
+  /**
+   * @param {THREE.Group} productGroup - Product root
+   * @param {Array} productParts - Product parts to move
+   * @param {AnimationScheduler} scheduler - Scheduler driving the animation
+   * @param {Object} [options]
+   * @param {number} [options.distance=1.5] - How far computed directions push parts
+   */
+  constructor(productGroup, productParts, scheduler, options = {}) {
+    this.productGroup = productGroup;
+    this.scheduler = scheduler;
+    this.distance = options.distance ?? 1.5;
+    this.amount = 0;
+    this.animation = null;
+
+    this.entries = this.computeEntries(productParts);
+  }
+
+  /**
+   * Record every part's original position and its fully exploded position
+   * @param {Array} productParts - Product parts
+   * @returns {Array} Entries with mesh, origin and exploded positions
+   */
+  computeEntries(productParts) {
+    const group = this.productGroup;
+    group.updateWorldMatrix(true, true);
+
+    const groupBox = new THREE.Box3();
+    productParts.forEach((part) => groupBox.expandByObject(part.mesh));
+    const groupCenter = group.worldToLocal(
+      groupBox.getCenter(new THREE.Vector3())
+    );
+
+    return productParts.map((part) => {
+      const mesh = part.mesh;
+      const centerWorld = new THREE.Box3()
+        .setFromObject(mesh)
+        .getCenter(new THREE.Vector3());
+      const center = group.worldToLocal(centerWorld.clone());
+
+      // Offset in product space: manifest-provided or away from the center
+      let offset;
+      if (part.explodeOffset) {
+        offset = part.explodeOffset.clone();
+      } else {
+        offset = center.clone().sub(groupCenter);
+        if (offset.lengthSq() < 1e-6) offset.set(0, 1, 0);
+        offset.normalize().multiplyScalar(this.distance);
+      }
+
+      // Convert the offset into the mesh parent's space
+      const targetWorld = group.localToWorld(center.clone().add(offset));
+      const meshWorld = mesh.getWorldPosition(new THREE.Vector3());
+      const explodedWorld = meshWorld.add(targetWorld.sub(centerWorld));
+
+      return {
+        mesh,
+        origin: mesh.position.clone(),
+        exploded: mesh.parent.worldToLocal(explodedWorld),
+      };
+    });
+  }
+
+  /**
+   * Set how far the product is exploded
+   * @param {number} amount - 0 (assembled) to 1 (fully exploded)
+   */
+  setAmount(amount) {
+    this.amount = THREE.MathUtils.clamp(amount, 0, 1);
+
+    this.entries.forEach(({ mesh, origin, exploded }) => {
+      if (this.amount === 0) {
+        mesh.position.copy(origin);
+      } else {
+        mesh.position.lerpVectors(origin, exploded, this.amount);
+      }
+    });
+  }
+
+  /**
+   * Animate to an explode amount
+   * @param {number} targetAmount - 0 to 1
+   * @param {number} duration - Animation duration in ms
+   * @param {Function} [onUpdate] - Called with the amount on every frame
+   */
+  animateTo(targetAmount, duration = 800, onUpdate) {
+    this.stopAnimation();
+
+    const startAmount = this.amount;
+
+    this.animation = this.scheduler.tween({
+      duration,
+      easing: Easing.easeInOutQuad,
+      onUpdate: (eased) => {
+        this.setAmount(startAmount + (targetAmount - startAmount) * eased);
+        if (onUpdate) onUpdate(this.amount);
+      },
+      onComplete: () => {
+        this.animation = null;
+      },
+    });
+  }
+
+  /**
+   * Stop a running explode animation where it is
+   */
+  stopAnimation() {
+    if (this.animation) {
+      this.animation.cancel();
+      this.animation = null;
+    }
+  }
+
+  /**
+   * Put every part back exactly where it started
+   */
+  dispose() {
+    this.stopAnimation();
+    this.setAmount(0);
+  }
+}
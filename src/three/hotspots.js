@@ -0,0 +1,179 @@
+import * as THREE from "three";
+import { CSS2DObject } from "three/examples/jsm/renderers/CSS2DRenderer.js";
+
+/**
+ * Numbered annotation markers anchored to product parts.
+ *
+ * Markers are children of their part's mesh, so they follow the product as it
+ * floats, rotates and explodes. Markers behind other geometry are hidden;
+ * geometry cut away by section views doesn't count.
+ */
+export class HotspotManager {
+  /**
+   * @param {Array} productParts - Product parts; parts with `hotspots` get markers
+   * @param {THREE.Camera} camera - Camera used for occlusion tests
+   * @param {Function} onSelect - Called with the part when a marker is clicked
+   */
+  constructor(productParts, camera, onSelect) {
+    this.camera = camera;
+    this.onSelect = onSelect;
+    this.productParts = productParts;
+    this.hotspots = [];
+    this.openHotspot = null;
+    this.clippingPlanes = [];
+
+    this.raycaster = new THREE.Raycaster();
+    this.worldPosition = new THREE.Vector3();
+    this.direction = new THREE.Vector3();
+
+    productParts.forEach((part) => {
+      (part.hotspots || []).forEach((definition) => {
+        this.hotspots.push(
+          this.createHotspot(part, definition, this.hotspots.length + 1)
+        );
+      });
+    });
+  }
+
+  /**
+   * @param {THREE.Plane[]} planes - World-space clipping planes of the
+   * section views; geometry on their negative side doesn't hide markers
+   */
+  setClippingPlanes(planes) {
+    this.clippingPlanes = planes;
+  }
+
+  /**
+   * @param {THREE.Vector3} point - Point in world space
+   * @returns {boolean} Whether a clipping plane cuts the point away
+   */
+  isClipped(point) {
+    return this.clippingPlanes.some(
+      (plane) => plane.distanceToPoint(point) < 0
+    );
+  }
+
+  /**
+   * Create the marker and callout for one hotspot
+   * @param {Object} part - Product part the hotspot belongs to
+   * @param {Object} definition - Offset, title and body from the manifest
+   * @param {number} number - Marker number
+   * @returns {Object} Hotspot
+   */
+  createHotspot(part, definition, number) {
+    const element = document.createElement("div");
+    element.className = "hotspot";
+
+    const marker = document.createElement("button");
+    marker.className = "hotspot-marker";
+    marker.textContent = number;
+    marker.setAttribute("aria-label", `${number}: ${definition.title}`);
+    marker.setAttribute("aria-expanded", "false");
+
+    const callout = document.createElement("div");
+    callout.className = "hotspot-callout";
+    callout.setAttribute("role", "dialog");
+
+    const title = document.createElement("h4");
+    title.className = "font-bold text-blue-400";
+    title.textContent = definition.title;
+
+    const body = document.createElement("p");
+    body.className = "text-sm text-gray-300";
+    body.textContent = definition.body;
+
+    callout.append(title, body);
+    element.append(marker, callout);
+
+    const object = new CSS2DObject(element);
+    object.name = `hotspot_${number}`;
+    object.position.fromArray(definition.offset);
+    part.mesh.add(object);
+
+    const hotspot = { part, object, element, marker };
+
+    marker.addEventListener("click", (event) => {
+      event.stopPropagation();
+      this.toggle(hotspot);
+    });
+
+    return hotspot;
+  }
+
+  /**
+   * Open a hotspot's callout (closing any other) and select its part
+   * @param {Object} hotspot - Hotspot to toggle
+   */
+  toggle(hotspot) {
+    const opening = this.openHotspot !== hotspot;
+    this.closeCallouts();
+
+    if (opening) {
+      this.openHotspot = hotspot;
+      hotspot.element.classList.add("open");
+      hotspot.marker.setAttribute("aria-expanded", "true");
+      this.onSelect(hotspot.part);
+    }
+  }
+
+  /**
+   * Close the open callout, if any
+   */
+  closeCallouts() {
+    if (!this.openHotspot) return;
+
+    this.openHotspot.element.classList.remove("open");
+    this.openHotspot.marker.setAttribute("aria-expanded", "false");
+    this.openHotspot = null;
+  }
+
+  /**
+   * Hide markers of hidden parts and markers that are behind product geometry
+   * (called in animation loop)
+   */
+  update() {
+    const visibleMeshes = this.productParts
+      .filter((part) => part.mesh.visible)
+      .flatMap((part) => part.meshes);
+
+    this.hotspots.forEach((hotspot) => {
+      if (!hotspot.part.mesh.visible) {
+        hotspot.element.classList.add("occluded");
+        if (this.openHotspot === hotspot) this.closeCallouts();
+        return;
+      }
+
+      hotspot.object.getWorldPosition(this.worldPosition);
+
+      const distance = this.worldPosition.distanceTo(this.camera.position);
+      this.direction
+        .copy(this.worldPosition)
+        .sub(this.camera.position)
+        .normalize();
+      this.raycaster.set(this.camera.position, this.direction);
+      this.raycaster.far = distance;
+
+      const hit = this.raycaster
+        .intersectObjects(visibleMeshes, false)
+        .find((intersection) => !this.isClipped(intersection.point));
+      const occluded = Boolean(hit) && hit.distance < distance - 0.05;
+
+      hotspot.element.classList.toggle("occluded", occluded);
+      if (occluded && this.openHotspot === hotspot) {
+        this.closeCallouts();
+      }
+    });
+  }
+
+  /**
+   * Remove every marker from the scene and the DOM
+   */
+  dispose() {
+    this.hotspots.forEach(({ object, element }) => {
+      object.removeFromParent();
+      element.remove();
+    });
+    this.hotspots = [];
+    this.openHotspot = null;
+  }
+}
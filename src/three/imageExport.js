@@ -0,0 +1,223 @@
+import * as THREE from "three";
+
+// Largest canvas side and area browsers reliably allow for the sprite sheet;
+// Safari limits canvases to about 16.7 megapixels
+const MAX_SHEET_SIZE = 16384;
+const MAX_SHEET_AREA = 4096 * 4096;
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Renders stills of the scene at a fixed resolution, independent of the
+ * canvas size. Overlays (userData.isOverlay) are left out of every frame, and
+ * the backdrop (userData.isBackdrop) is left out of transparent frames.
+ */
+export class ImageExporter {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer of the live view
+   * @param {THREE.Scene} scene - Scene to render
+   * @param {THREE.PerspectiveCamera} camera - Live camera the exported views start from
+   * @param {RenderPipeline} pipeline - Pipeline of the live view; exports are
+   * always antialiased
+   */
+  constructor(renderer, scene, camera, pipeline) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.pipeline = pipeline;
+  }
+
+  /**
+   * Render the current view
+   * @param {Object} options - See `renderFrames`
+   * @returns {HTMLCanvasElement}
+   */
+  captureCurrentView(options) {
+    return this.renderFrames([this.camera.clone()], options)[0];
+  }
+
+  /**
+   * Render a list of camera views, e.g. the manifest's camera bookmarks
+   * @param {Array} views - Views with world-space `position` and `target` vectors
+   * @param {Object} options - See `renderFrames`
+   * @returns {HTMLCanvasElement[]}
+   */
+  captureViews(views, options) {
+    const cameras = views.map(({ position, target }) => {
+      const camera = this.camera.clone();
+      camera.position.copy(position);
+      camera.lookAt(target);
+      return camera;
+    });
+
+    return this.renderFrames(cameras, options);
+  }
+
+  /**
+   * Render evenly spaced angles around a point into one sprite sheet, keeping
+   * the current camera distance and height
+   * @param {number} frameCount - Number of angles
+   * @param {THREE.Vector3} center - Point to turn around
+   * @param {Object} options - See `renderFrames`
+   * @returns {HTMLCanvasElement} Frames left to right, top to bottom
+   */
+  captureTurntable(frameCount, center, options) {
+    const columns = Math.ceil(Math.sqrt(frameCount));
+    const rows = Math.ceil(frameCount / columns);
+    const sheetWidth = columns * options.width;
+    const sheetHeight = rows * options.height;
+    if (sheetWidth > MAX_SHEET_SIZE || sheetHeight > MAX_SHEET_SIZE) {
+      throw new Error(
+        `A ${columns}×${rows} sheet of ${options.width}×${options.height} frames exceeds ${MAX_SHEET_SIZE}px; use fewer frames or a smaller size`
+      );
+    }
+    if (sheetWidth * sheetHeight > MAX_SHEET_AREA) {
+      const megapixels = (MAX_SHEET_AREA / 1e6).toFixed(1);
+      throw new Error(
+        `A ${sheetWidth}×${sheetHeight} sheet exceeds ${megapixels} megapixels; use fewer frames or a smaller size`
+      );
+    }
+
+    const offset = this.camera.position.clone().sub(center);
+    const cameras = Array.from({ length: frameCount }, (_, index) => {
+      const camera = this.camera.clone();
+      const angle = (index / frameCount) * Math.PI * 2;
+      camera.position
+        .copy(center)
+        .add(offset.clone().applyAxisAngle(UP, angle));
+      camera.lookAt(center);
+      return camera;
+    });
+
+    const frames = this.renderFrames(cameras, options);
+
+    const sheet = document.createElement("canvas");
+    sheet.width = sheetWidth;
+    sheet.height = sheetHeight;
+    const context = sheet.getContext("2d");
+    if (!context) {
+      throw new Error(
+        `The browser could not create a ${sheetWidth}×${sheetHeight} sheet; use fewer frames or a smaller size`
+      );
+    }
+    frames.forEach((frame, index) => {
+      context.drawImage(
+        frame,
+        (index % columns) * options.width,
+        Math.floor(index / columns) * options.height
+      );
+    });
+
+    return sheet;
+  }
+
+  /**
+   * Render one frame per camera. The renderer is resized for the export and
+   * restored afterwards, all before the next live frame is drawn.
+   * @param {THREE.PerspectiveCamera[]} cameras - Cameras to render from
+   * @param {Object} options
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {boolean} [options.transparent=false] - Leave out the background
+   * @returns {HTMLCanvasElement[]}
+   */
+  renderFrames(cameras, { width, height, transparent = false }) {
+    const renderer = this.renderer;
+    const maxSize = renderer.capabilities.maxTextureSize;
+    if (width > maxSize || height > maxSize) {
+      throw new Error(`Exports are limited to ${maxSize}px per side`);
+    }
+
+    // Remember the live settings
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const clearAlpha = renderer.getClearAlpha();
+    const background = this.scene.background;
+    const antialias = this.pipeline.antialias;
+    const viewport = this.pipeline.viewport;
+
+    const hidden = [];
+    this.scene.traverse((object) => {
+      if (!object.visible) return;
+      if (
+        object.userData.isOverlay ||
+        (transparent && object.userData.isBackdrop)
+      ) {
+        hidden.push(object);
+      }
+    });
+    hidden.forEach((object) => {
+      object.visible = false;
+    });
+
+    if (transparent) {
+      this.scene.background = null;
+      renderer.setClearAlpha(0);
+    }
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    this.pipeline.setViewport(null);
+    this.pipeline.setAntialias(true);
+    this.pipeline.resize();
+
+    try {
+      return cameras.map((camera) => {
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        this.pipeline.render(camera);
+
+        // Copy right away; the drawing buffer is cleared once composited
+        const frame = document.createElement("canvas");
+        frame.width = width;
+        frame.height = height;
+        frame.getContext("2d").drawImage(renderer.domElement, 0, 0);
+        return frame;
+      });
+    } finally {
+      hidden.forEach((object) => {
+        object.visible = true;
+      });
+      this.scene.background = background;
+      renderer.setClearAlpha(clearAlpha);
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(size.x, size.y, false);
+      this.pipeline.setViewport(viewport);
+      this.pipeline.setAntialias(antialias);
+      this.pipeline.resize();
+    }
+  }
+}
+
+/**
+ * Save a canvas as a PNG download
+ * @param {HTMLCanvasElement} canvas - Image to save
+ * @param {string} filename - Download file name
+ * @returns {Promise<void>}
+ */
+export function downloadCanvas(canvas, filename) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error(`Could not encode ${filename}`));
+        return;
+      }
+
+      downloadBlob(blob, filename);
+      resolve();
+    }, "image/png");
+  });
+}
+
+/**
+ * Save a file through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
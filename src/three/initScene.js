@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { CSS2DRenderer } from "three/examples/jsm/renderers/CSS2DRenderer.js";
 
 /**
  * Initialize the Three.js scene with camera, renderer, and controls
@@ -24,27 +25,36 @@ export function initScene(canvas) {
   camera.position.set(5, 3, 5);
   camera.lookAt(0, 0, 0);
 
-  // Create the renderer
+  // Create the renderer; antialiasing is up to the render pipeline
   const renderer = new THREE.WebGLRenderer({
     canvas: canvas,
-    antialias: true,
+    antialias: false,
     alpha: true,
     powerPreference: "high-performance",
   });
 
-  // Configure renderer
-  renderer.setSize(canvas.clientWidth, canvas.clientHeight);
+  // Configure renderer; CSS sizes the canvas element itself
+  renderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
   renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 
   // Enable shadows
   renderer.shadowMap.enabled = true;
   renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
+  // Section views clip the product's materials
+  renderer.localClippingEnabled = true;
+
   // Color management
   renderer.outputColorSpace = THREE.SRGBColorSpace;
   renderer.toneMapping = THREE.ACESFilmicToneMapping;
   renderer.toneMappingExposure = 1.2;
 
+  // HTML labels (dimensions, measurements) drawn on top of the canvas
+  const labelRenderer = new CSS2DRenderer();
+  labelRenderer.setSize(canvas.clientWidth, canvas.clientHeight);
+  labelRenderer.domElement.className = "label-layer";
+  canvas.parentElement.appendChild(labelRenderer.domElement);
+
   // Create orbit controls
   const controls = new OrbitControls(camera, canvas);
   controls.enableDamping = true;
@@ -58,6 +68,37 @@ export function initScene(canvas) {
     scene,
     camera,
     renderer,
+    labelRenderer,
     controls,
   };
 }
+
+/**
+ * Free everything `initScene` created: the scene's geometries, materials,
+ * textures and shadow maps, the controls, the label layer and the renderer
+ * with its WebGL context
+ * @param {Object} sceneConfig - Scene configuration from `initScene`
+ */
+export function disposeScene({ scene, renderer, labelRenderer, controls }) {
+  scene.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.isLight) object.dispose();
+
+    const materials = Array.isArray(object.material)
+      ? object.material
+      : [object.material];
+    materials.forEach((material) => {
+      if (!material) return;
+      Object.values(material).forEach((value) => {
+        if (value && value.isTexture) value.dispose();
+      });
+      material.dispose();
+    });
+  });
+  scene.clear();
+
+  controls.dispose();
+  labelRenderer.domElement.remove();
+  renderer.dispose();
+  renderer.forceContextLoss();
+}
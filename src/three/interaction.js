@@ -1,80 +1,182 @@
 import * as THREE from "three";
+import {
+  acceleratedRaycast,
+  computeBoundsTree,
+  disposeBoundsTree,
+} from "three-mesh-bvh";
+
+// Raycasts against geometry with a bounds tree only test the triangles near
+// the ray; geometry without one falls back to three's own raycast
+THREE.BufferGeometry.prototype.computeBoundsTree = computeBoundsTree;
+THREE.BufferGeometry.prototype.disposeBoundsTree = disposeBoundsTree;
+THREE.Mesh.prototype.raycast = acceleratedRaycast;
 
 /**
- * Manages mouse interactions and raycasting for the 3D scene
+ * Manages pointer interactions and raycasting for the 3D scene. Hovered and
+ * selected parts are outlined by `PartHighlights`.
+ *
+ * Dispatches "hover" and "select" events with the affected `part`, which is
+ * null when the hover or selection is cleared.
  */
-export class InteractionManager {
-  constructor(camera, productParts, onPartSelect) {
+export class InteractionManager extends THREE.EventDispatcher {
+  /**
+   * @param {THREE.Camera} camera - Camera of the live view
+   * @param {Array} productParts - Product parts to raycast against
+   * @param {Function} onPartSelect - Shows a part's info
+   * @param {PartHighlights} highlights - Outlines of hovered and selected parts
+   */
+  constructor(camera, productParts, onPartSelect, highlights) {
+    super();
+
     this.camera = camera;
-    this.productParts = productParts;
     this.onPartSelect = onPartSelect;
+    this.highlights = highlights;
 
     // Raycasting setup
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
+    this.partsByMesh = new Map();
+    this.pickMeshes = [];
+
+    // Section planes; geometry they cut away can't be picked
+    this.clippingPlanes = [];
+
+    // Part of the canvas showing the camera's view, in fractions of its size
+    // from the top left corner
+    this.viewport = { x: 0, y: 0, width: 1, height: 1 };
+
+    // Latest hover position, picked once per frame in pickPendingHover()
+    this.pendingHover = null;
 
     // Interaction state
     this.hoveredPart = null;
     this.selectedPart = null;
-    this.highlightedMeshes = new Set();
-
-    // Visual feedback materials
-    this.createFeedbackMaterials();
 
     // Animation properties
     this.animationMixers = [];
-    this.clock = new THREE.Clock();
+
+    this.indexParts(productParts);
   }
 
   /**
-   * Create materials for visual feedback
+   * Replace the interactive parts, e.g. after a new product was loaded
+   * @param {Array} productParts - Product parts to raycast against
    */
-  createFeedbackMaterials() {
-    this.hoverMaterial = new THREE.MeshStandardMaterial({
-      color: 0x00ff88,
-      emissive: 0x002211,
-      roughness: 0.3,
-      metalness: 0.7,
-      transparent: true,
-      opacity: 0.8,
-    });
+  setProductParts(productParts) {
+    this.clearHover();
+    this.clearSelection();
+    this.pendingHover = null;
+    this.indexParts(productParts);
+  }
+
+  /**
+   * @param {THREE.Plane[]} planes - World-space clipping planes of the
+   * section views; hits on their negative side are ignored
+   */
+  setClippingPlanes(planes) {
+    this.clippingPlanes = planes;
+  }
+
+  /**
+   * Limit picking to the part of the canvas showing the camera's view, e.g.
+   * one side of a split screen
+   * @param {Object} viewport - `x`, `y`, `width` and `height` in fractions of
+   * the canvas size, from the top left corner
+   */
+  setViewport(viewport) {
+    this.viewport = viewport;
+  }
 
-    this.selectedMaterial = new THREE.MeshStandardMaterial({
-      color: 0xff6644,
-      emissive: 0x221100,
-      roughness: 0.3,
-      metalness: 0.7,
-      transparent: true,
-      opacity: 0.9,
+  /**
+   * @param {THREE.Vector3} point - Point in world space
+   * @returns {boolean} Whether a clipping plane cuts the point away
+   */
+  isClipped(point) {
+    return this.clippingPlanes.some(
+      (plane) => plane.distanceToPoint(point) < 0
+    );
+  }
+
+  /**
+   * Map every mesh to its part and build the meshes' bounds trees, so picking
+   * stays fast for models with many triangles
+   * @param {Array} productParts - Product parts
+   */
+  indexParts(productParts) {
+    this.productParts = productParts;
+    this.partsByMesh.clear();
+
+    productParts.forEach((part) => {
+      part.meshes.forEach((mesh) => {
+        this.partsByMesh.set(mesh, part);
+        if (!mesh.geometry.boundsTree) mesh.geometry.computeBoundsTree();
+      });
     });
+
+    this.pickMeshes = [...this.partsByMesh.keys()];
   }
 
   /**
-   * Handle mouse movement for hover effects
-   * @param {MouseEvent} event - Mouse event
+   * Raycast from the pointer position against the product parts
+   * @param {PointerEvent} event - Pointer event
    * @param {HTMLCanvasElement} canvas - Canvas element
+   * @returns {Object|null} Closest intersection with its product part;
+   * ghosted parts are only hit when no solid part is behind them, and cut
+   * away geometry is never hit, nor anything outside the viewport
    */
-  handleMouseMove(event, canvas) {
+  intersectParts(event, canvas) {
     const rect = canvas.getBoundingClientRect();
+    const { viewport } = this;
+    const x =
+      (event.clientX - rect.left - viewport.x * rect.width) /
+      (viewport.width * rect.width);
+    const y =
+      (event.clientY - rect.top - viewport.y * rect.height) /
+      (viewport.height * rect.height);
+    if (x < 0 || x > 1 || y < 0 || y > 1) return null;
 
     // Convert mouse coordinates to normalized device coordinates
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.mouse.x = x * 2 - 1;
+    this.mouse.y = -y * 2 + 1;
 
     // Update raycaster
     this.raycaster.setFromCamera(this.mouse, this.camera);
 
-    // Get intersections
-    const meshes = this.productParts.map((part) => part.mesh);
-    const intersects = this.raycaster.intersectObjects(meshes);
+    // Get intersections; the raycaster doesn't skip hidden parts itself
+    const hits = this.raycaster
+      .intersectObjects(this.pickMeshes, false)
+      .map((intersection) => ({
+        ...intersection,
+        part: this.partsByMesh.get(intersection.object),
+      }))
+      .filter((hit) => hit.part.mesh.visible && !this.isClipped(hit.point));
 
-    // Handle hover effects
-    if (intersects.length > 0) {
-      const intersectedMesh = intersects[0].object;
-      const part = this.productParts.find((p) => p.mesh === intersectedMesh);
+    return hits.find((hit) => !hit.part.displayMaterial) || hits[0] || null;
+  }
+
+  /**
+   * Handle pointer movement for hover effects. Pointer events can arrive
+   * several times per frame, so only the latest one is picked, in
+   * `pickPendingHover()`.
+   * @param {PointerEvent} event - Pointer event of a hovering pointer
+   * @param {HTMLCanvasElement} canvas - Canvas element
+   */
+  handlePointerMove(event, canvas) {
+    this.pendingHover = { event, canvas };
+  }
 
-      if (part && part !== this.hoveredPart) {
-        this.handleHover(part);
+  /**
+   * Update the hover from a pointer position
+   * @param {PointerEvent} event - Pointer event of a hovering pointer
+   * @param {HTMLCanvasElement} canvas - Canvas element
+   */
+  updateHover(event, canvas) {
+    const hit = this.intersectParts(event, canvas);
+
+    // Handle hover effects
+    if (hit) {
+      if (hit.part !== this.hoveredPart) {
+        this.handleHover(hit.part);
       }
 
       // Change cursor
@@ -88,80 +190,119 @@ export class InteractionManager {
   }
 
   /**
-   * Handle mouse click for selection
-   * @param {MouseEvent} event - Mouse event
+   * Handle the pointer leaving the canvas
    * @param {HTMLCanvasElement} canvas - Canvas element
    */
-  handleClick(event, canvas) {
-    const rect = canvas.getBoundingClientRect();
-
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-
-    const meshes = this.productParts.map((part) => part.mesh);
-    const intersects = this.raycaster.intersectObjects(meshes);
+  handlePointerLeave(canvas) {
+    this.pendingHover = null;
+    if (this.hoveredPart) {
+      this.clearHover();
+    }
+    canvas.style.cursor = "default";
+  }
 
-    if (intersects.length > 0) {
-      const intersectedMesh = intersects[0].object;
-      const part = this.productParts.find((p) => p.mesh === intersectedMesh);
+  /**
+   * Handle a tap or click for selection
+   * @param {PointerEvent} event - Pointer event
+   * @param {HTMLCanvasElement} canvas - Canvas element
+   */
+  handleTap(event, canvas) {
+    const hit = this.intersectParts(event, canvas);
 
-      if (part) {
-        this.handleSelection(part);
-      }
+    if (hit) {
+      this.handleSelection(hit.part);
     } else {
       this.clearSelection();
     }
   }
 
   /**
-   * Handle part hover
-   * @param {Object} part - Product part object
+   * Handle a long press by showing the part's info without selecting it
+   * @param {PointerEvent} event - Pointer event
+   * @param {HTMLCanvasElement} canvas - Canvas element
    */
-  handleHover(part) {
-    // Clear previous hover
-    this.clearHover();
+  handleLongPress(event, canvas) {
+    const hit = this.intersectParts(event, canvas);
 
-    // Set new hover
-    this.hoveredPart = part;
+    if (hit) {
+      this.onPartSelect(hit.part);
+    }
+  }
 
-    // Store original material
-    part.mesh.userData.originalMaterial = part.mesh.material;
+  /**
+   * Keyboard access to the parts: Tab and Shift+Tab move the highlight
+   * through the visible parts, Enter or Space selects the highlighted part and
+   * Escape clears the selection. Tabbing past either end is left to the
+   * browser, so focus can leave the canvas.
+   * @param {KeyboardEvent} event - Key event
+   * @returns {boolean} Whether the key was handled
+   */
+  handleKeyDown(event) {
+    switch (event.key) {
+      case "Tab":
+        return this.cycleHighlight(event.shiftKey ? -1 : 1);
+      case "Enter":
+      case " ":
+        if (!this.hoveredPart) return false;
+        this.handleSelection(this.hoveredPart);
+        return true;
+      case "Escape":
+        if (!this.selectedPart) return false;
+        this.clearSelection();
+        return true;
+      default:
+        return false;
+    }
+  }
 
-    // Apply hover effect
-    part.mesh.material = this.hoverMaterial.clone();
+  /**
+   * Highlight the next or previous visible part
+   * @param {number} step - 1 for the next part, -1 for the previous one
+   * @returns {boolean} False when moving past either end
+   */
+  cycleHighlight(step) {
+    const parts = this.productParts.filter((part) => part.mesh.visible);
+    const index = parts.indexOf(this.hoveredPart);
+    const next =
+      index === -1 ? (step > 0 ? 0 : parts.length - 1) : index + step;
+
+    if (next < 0 || next >= parts.length) {
+      this.clearHover();
+      return false;
+    }
 
-    // Add scale animation
-    this.animateScale(part.mesh, 1.05, 200);
+    this.handleHover(parts[next]);
+    return true;
+  }
 
-    // Add to highlighted meshes
-    this.highlightedMeshes.add(part.mesh);
+  /**
+   * Handle part hover
+   * @param {Object} part - Product part object
+   */
+  handleHover(part) {
+    this.hoveredPart = part;
+    this.highlights.setHovered(part);
 
     // Update UI
     this.onPartSelect(part);
+    this.dispatchEvent({ type: "hover", part });
   }
 
   /**
    * Clear hover effects
    */
   clearHover() {
-    if (this.hoveredPart && this.hoveredPart !== this.selectedPart) {
-      const mesh = this.hoveredPart.mesh;
-
-      // Restore original material
-      if (mesh.userData.originalMaterial) {
-        mesh.material = mesh.userData.originalMaterial;
-      }
-
-      // Reset scale
-      this.animateScale(mesh, 1.0, 200);
-
-      // Remove from highlighted meshes
-      this.highlightedMeshes.delete(mesh);
-    }
+    const hadHover = this.hoveredPart !== null;
+    this.releaseHover();
+    if (hadHover) this.dispatchEvent({ type: "hover", part: null });
+  }
 
+  /**
+   * Remove the hover outline without notifying listeners
+   */
+  releaseHover() {
     this.hoveredPart = null;
+    this.highlights.setHovered(null);
   }
 
   /**
@@ -169,156 +310,71 @@ export class InteractionManager {
    * @param {Object} part - Product part object
    */
   handleSelection(part) {
-    // Clear previous selection
-    this.clearSelection();
-
-    // Set new selection
     this.selectedPart = part;
-
-    // Store original material if not already stored
-    if (!part.mesh.userData.originalMaterial) {
-      part.mesh.userData.originalMaterial = part.mesh.material;
-    }
-
-    // Apply selection effect
-    part.mesh.material = this.selectedMaterial.clone();
-
-    // Add selection animations
-    this.animateScale(part.mesh, 1.1, 300);
-    this.animatePulse(part.mesh);
-
-    // Add to highlighted meshes
-    this.highlightedMeshes.add(part.mesh);
+    this.highlights.setSelected(part);
 
     // Update UI
     this.onPartSelect(part);
+    this.dispatchEvent({ type: "select", part });
   }
 
   /**
    * Clear selection effects
    */
   clearSelection() {
-    if (this.selectedPart) {
-      const mesh = this.selectedPart.mesh;
-
-      // Restore material only if not currently hovered
-      if (
-        this.hoveredPart !== this.selectedPart &&
-        mesh.userData.originalMaterial
-      ) {
-        mesh.material = mesh.userData.originalMaterial;
-      }
-
-      // Reset scale
-      this.animateScale(mesh, 1.0, 300);
-
-      // Stop pulse animation
-      this.stopPulse(mesh);
-
-      // Remove from highlighted meshes if not hovered
-      if (this.hoveredPart !== this.selectedPart) {
-        this.highlightedMeshes.delete(mesh);
-      }
-    }
-
-    this.selectedPart = null;
+    const hadSelection = this.selectedPart !== null;
+    this.releaseSelection();
+    if (hadSelection) this.dispatchEvent({ type: "select", part: null });
   }
 
   /**
-   * Animate mesh scale
-   * @param {THREE.Mesh} mesh - Target mesh
-   * @param {number} targetScale - Target scale value
-   * @param {number} duration - Animation duration in ms
+   * Remove the selection outline without notifying listeners
    */
-  animateScale(mesh, targetScale, duration) {
-    const startScale = mesh.scale.x;
-    const startTime = Date.now();
-
-    function animate() {
-      const elapsed = Date.now() - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-
-      // Easing function (ease-out)
-      const eased = 1 - Math.pow(1 - progress, 3);
-
-      const currentScale = startScale + (targetScale - startScale) * eased;
-      mesh.scale.setScalar(currentScale);
-
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      }
-    }
-
-    animate();
+  releaseSelection() {
+    this.selectedPart = null;
+    this.highlights.setSelected(null);
   }
 
   /**
-   * Add pulsing animation to mesh
-   * @param {THREE.Mesh} mesh - Target mesh
+   * Hide hover and selection outlines, e.g. while exporting images
+   * @returns {Function} Puts the outlines back
    */
-  animatePulse(mesh) {
-    mesh.userData.isPulsing = true;
-    mesh.userData.pulseTime = 0;
-
-    function pulse() {
-      if (!mesh.userData.isPulsing) return;
-
-      mesh.userData.pulseTime += 0.1;
-      const pulseScale = 1.1 + Math.sin(mesh.userData.pulseTime) * 0.02;
-      mesh.scale.setScalar(pulseScale);
-
-      requestAnimationFrame(pulse);
-    }
-
-    pulse();
+  suspendHighlights() {
+    return this.highlights.suspend();
   }
 
   /**
-   * Stop pulsing animation
-   * @param {THREE.Mesh} mesh - Target mesh
+   * Pick the latest hover position, if the pointer moved since the last
+   * frame. Called every frame, also while animations are paused.
    */
-  stopPulse(mesh) {
-    mesh.userData.isPulsing = false;
+  pickPendingHover() {
+    if (!this.pendingHover) return;
+
+    const { event, canvas } = this.pendingHover;
+    this.pendingHover = null;
+    this.updateHover(event, canvas);
   }
 
   /**
-   * Update interaction system (called in animation loop)
+   * Advance the animation mixers (called by the animation scheduler)
+   * @param {number} delta - Seconds since the last frame
    */
-  update() {
-    // Update any ongoing animations
-    const delta = this.clock.getDelta();
-
+  update(delta) {
     // Update animation mixers if any
     this.animationMixers.forEach((mixer) => {
       mixer.update(delta);
     });
-
-    // Update material animations for highlighted meshes
-    this.updateMaterialAnimations();
-  }
-
-  /**
-   * Update material animations for highlighted meshes
-   */
-  updateMaterialAnimations() {
-    const time = Date.now() * 0.001;
-
-    this.highlightedMeshes.forEach((mesh) => {
-      if (mesh.material.emissive) {
-        // Animate emissive intensity
-        const intensity = 0.1 + Math.sin(time * 3) * 0.05;
-        mesh.material.emissiveIntensity = intensity;
-      }
-    });
   }
 
   dispose() {
-    // Clean up materials
-    this.hoverMaterial.dispose();
-    this.selectedMaterial.dispose();
+    // The highlights are owned and disposed by the viewer
+    this.releaseHover();
+    this.releaseSelection();
 
     // Clear references
-    this.highlightedMeshes.clear();
+    this.partsByMesh.clear();
+    this.pickMeshes = [];
+    this.pendingHover = null;
     this.animationMixers.length = 0;
   }
 }
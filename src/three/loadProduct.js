@@ -0,0 +1,378 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { createMaterials, createPart, createProduct } from "./createProduct.js";
+import {
+  ManifestError,
+  loadManifest,
+  parseManifest,
+  validateManifest,
+} from "../products/manifest.js";
+
+const DEFAULT_DESCRIPTION =
+  "Component of the loaded product model. Add a description in the model's extras to show more detail here.";
+const DEFAULT_CATEGORY = "structure";
+
+/**
+ * Load a product from a manifest (URL, file or object) or a glTF/GLB model
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {string|File|Object} source - Product source
+ * @returns {Promise<Object>} The product group, its parts and the manifest
+ * (null for plain models)
+ */
+export async function loadProduct(scene, source) {
+  const { manifest = null, baseUrl } = await readManifest(source);
+
+  let productParts;
+  if (!manifest) {
+    productParts = await loadProductModel(scene, source);
+  } else if (!manifest.model) {
+    productParts = createProduct(scene, manifest);
+  } else {
+    const modelUrl = new URL(manifest.model, baseUrl).href;
+    productParts = await loadProductModel(scene, modelUrl, { manifest });
+  }
+
+  const productGroup = scene.children.find((child) => child.userData.isProduct);
+
+  return { productGroup, productParts, manifest };
+}
+
+/**
+ * Load a glTF/GLB product model and turn its named meshes into product parts
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {string|File|Blob} source - Model URL or a user-provided .glb/.gltf file
+ * @param {Object} [options]
+ * @param {number} [options.targetHeight=3] - Height the model is scaled to
+ * @param {Object} [options.manifest] - Validated manifest describing the parts
+ * @returns {Promise<Array>} Product parts in the same shape as createProduct
+ */
+export async function loadProductModel(scene, source, options = {}) {
+  const { targetHeight = 3, manifest } = options;
+  const gltf = await parseModel(source);
+  const model = gltf.scene;
+
+  const productGroup = new THREE.Group();
+  productGroup.name = manifest ? manifest.name : getSourceName(source);
+  productGroup.userData.isProduct = true;
+  productGroup.add(model);
+
+  // Added before the parts are checked, so removing the scene's products also
+  // frees a model that is rejected
+  scene.add(productGroup);
+
+  // glTF is authored in meters unless the manifest says otherwise
+  const scale = fitToGround(model, targetHeight);
+  const sourceMetersPerUnit =
+    manifest && manifest.units ? manifest.units.metersPerUnit : 1;
+  productGroup.userData.metersPerUnit = sourceMetersPerUnit / scale;
+
+  model.traverse((object) => {
+    if (object.isMesh) {
+      object.castShadow = true;
+      object.receiveShadow = true;
+    }
+  });
+
+  const productParts = manifest
+    ? createPartsFromManifest(model, manifest)
+    : createPartsFromMeshNames(model, gltf.parser.associations);
+
+  if (productParts.length === 0) {
+    throw new Error("The model does not contain any named meshes");
+  }
+
+  return productParts;
+}
+
+/**
+ * Turn every named mesh into a part, reading metadata from glTF extras. A glTF
+ * mesh with several primitives loads as a group of meshes and becomes one
+ * part.
+ * @param {THREE.Object3D} model - Model root
+ * @param {Map} associations - glTF definitions behind the loaded objects
+ * @returns {Array} Product parts
+ */
+function createPartsFromMeshNames(model, associations) {
+  const entries = [];
+  const claimed = new Set();
+
+  model.traverse((object) => {
+    // Unnamed meshes stay visible but are not selectable
+    if (!object.name || claimed.has(object)) return;
+
+    const meshes = object.isMesh
+      ? [object]
+      : getPrimitiveMeshes(object, associations);
+    if (meshes.length === 0) return;
+
+    meshes.forEach((mesh) => claimed.add(mesh));
+    entries.push({ object, meshes });
+  });
+
+  // Reparent only after traversing, as it changes the children being walked
+  return entries.map(({ object, meshes }) =>
+    createPart(
+      {
+        id: object.name,
+        name: object.userData.displayName || humanizeName(object.name),
+        description: object.userData.description || DEFAULT_DESCRIPTION,
+        category: object.userData.category || DEFAULT_CATEGORY,
+      },
+      joinMeshes(meshes),
+      meshes
+    )
+  );
+}
+
+/**
+ * GLTFLoader loads a glTF mesh with several primitives as a group holding one
+ * mesh per primitive
+ * @param {THREE.Object3D} object - Model node
+ * @param {Map} associations - glTF definitions behind the loaded objects
+ * @returns {THREE.Mesh[]} The node's primitives, if it is such a group
+ */
+function getPrimitiveMeshes(object, associations) {
+  const definition = associations.get(object);
+  if (!definition || definition.meshes === undefined) return [];
+
+  // Child nodes have their own node definition; primitives don't
+  return object.children.filter((child) => {
+    const childDefinition = associations.get(child);
+    return (
+      child.isMesh && childDefinition && childDefinition.nodes === undefined
+    );
+  });
+}
+
+/**
+ * Pick the manifest's parts out of the model by mesh name
+ * @param {THREE.Object3D} model - Model root
+ * @param {Object} manifest - Validated manifest
+ * @returns {Array} Product parts
+ */
+function createPartsFromManifest(model, manifest) {
+  const materials = createMaterials(manifest.materials);
+  const missing = [];
+  const productParts = [];
+  const replaced = [];
+
+  manifest.parts.forEach((partInfo, index) => {
+    const selector = partInfo.mesh || partInfo.id;
+    const node = model.getObjectByName(selector);
+    const meshes = node ? findMeshes(node) : [];
+
+    if (meshes.length === 0) {
+      missing.push(
+        `parts[${index}] ("${partInfo.id}").mesh: no mesh named "${selector}" in ${manifest.model}`
+      );
+      return;
+    }
+
+    if (partInfo.material) {
+      meshes.forEach((mesh) => {
+        replaced.push(...getMaterials(mesh));
+        mesh.material = materials[partInfo.material];
+      });
+    }
+
+    productParts.push(createPart(partInfo, joinMeshes(meshes), meshes));
+  });
+  disposeReplacedMaterials(model, replaced);
+
+  if (missing.length > 0) {
+    throw new ManifestError(missing);
+  }
+
+  return productParts;
+}
+
+/**
+ * Free the model's own materials that manifest materials replaced, and their
+ * textures, unless other meshes of the model still use them
+ * @param {THREE.Object3D} model - Model root
+ * @param {THREE.Material[]} replaced - Materials taken off the meshes
+ */
+function disposeReplacedMaterials(model, replaced) {
+  const usedMaterials = new Set();
+  const usedTextures = new Set();
+  model.traverse((object) => {
+    if (!object.isMesh) return;
+    getMaterials(object).forEach((material) => {
+      usedMaterials.add(material);
+      getTextures(material).forEach((texture) => usedTextures.add(texture));
+    });
+  });
+
+  new Set(replaced).forEach((material) => {
+    if (usedMaterials.has(material)) return;
+    getTextures(material).forEach((texture) => {
+      if (!usedTextures.has(texture)) texture.dispose();
+    });
+    material.dispose();
+  });
+}
+
+/**
+ * @param {THREE.Mesh} mesh - Mesh with one or several materials
+ * @returns {THREE.Material[]}
+ */
+function getMaterials(mesh) {
+  return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+}
+
+/**
+ * @param {THREE.Material} material - Material with texture maps
+ * @returns {THREE.Texture[]}
+ */
+function getTextures(material) {
+  return Object.values(material).filter((value) => value && value.isTexture);
+}
+
+/**
+ * Find the node itself and its descendants that are meshes
+ * @param {THREE.Object3D} node - Node matched by a selector
+ * @returns {THREE.Mesh[]}
+ */
+function findMeshes(node) {
+  const meshes = [];
+  node.traverse((object) => {
+    if (object.isMesh) meshes.push(object);
+  });
+  return meshes;
+}
+
+/**
+ * Parent the meshes of a multi-mesh part to its first mesh, keeping their
+ * place in the world, so the part moves, scales and hides as a whole
+ * @param {THREE.Mesh[]} meshes - Meshes of one part
+ * @returns {THREE.Mesh} The first mesh, which represents the part
+ */
+function joinMeshes(meshes) {
+  const [first, ...others] = meshes;
+  others.forEach((mesh) => {
+    if (mesh.parent !== first) first.attach(mesh);
+  });
+  return first;
+}
+
+/**
+ * Remove every product group from the scene and free its GPU resources:
+ * geometries, materials and the materials' textures
+ * @param {THREE.Object3D} scene - The Three.js scene, or a group holding
+ * products
+ */
+export function removeProducts(scene) {
+  const products = scene.children.filter((child) => child.userData.isProduct);
+
+  products.forEach((product) => {
+    scene.remove(product);
+    product.traverse((object) => {
+      if (!object.isMesh) return;
+      object.geometry.dispose();
+      getMaterials(object).forEach((material) => {
+        getTextures(material).forEach((texture) => texture.dispose());
+        material.dispose();
+      });
+    });
+  });
+}
+
+/**
+ * Read the manifest behind a product source, if it is one
+ * @param {string|File|Object} source - Product source
+ * @returns {Promise<Object>} Manifest and the URL its model path is relative to
+ */
+async function readManifest(source) {
+  const baseUrl = window.location.href;
+
+  if (typeof source === "string") {
+    if (!isManifestPath(source)) return {};
+    return {
+      manifest: await loadManifest(source),
+      baseUrl: new URL(source, baseUrl).href,
+    };
+  }
+
+  if (source instanceof Blob) {
+    if (!isManifestPath(source.name || "")) return {};
+    return {
+      manifest: parseManifest(await source.text(), source.name),
+      baseUrl,
+    };
+  }
+
+  return { manifest: validateManifest(source), baseUrl };
+}
+
+/**
+ * @param {string} path - URL or file name
+ * @returns {boolean} Whether the path points at a JSON manifest
+ */
+function isManifestPath(path) {
+  return /\.json$/i.test(path.split(/[?#]/)[0]);
+}
+
+/**
+ * Parse a model from a URL or a local file
+ * @param {string|File|Blob} source - Model source
+ * @returns {Promise<Object>} Parsed glTF
+ */
+async function parseModel(source) {
+  const loader = new GLTFLoader();
+
+  if (typeof source === "string") {
+    return loader.loadAsync(source);
+  }
+
+  // Local files must be self-contained (.glb or .gltf with embedded buffers)
+  const buffer = await source.arrayBuffer();
+  return new Promise((resolve, reject) => {
+    loader.parse(buffer, "", resolve, reject);
+  });
+}
+
+/**
+ * Scale a model to the target height, center it and rest it on the ground
+ * @param {THREE.Object3D} model - Model root
+ * @param {number} targetHeight - Desired height in scene units
+ * @returns {number} Scale factor applied to the model
+ */
+function fitToGround(model, targetHeight) {
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+  const scale = size.y > 0 ? targetHeight / size.y : 1;
+
+  model.scale.multiplyScalar(scale);
+
+  box.setFromObject(model);
+  const center = box.getCenter(new THREE.Vector3());
+  model.position.x -= center.x;
+  model.position.z -= center.z;
+  model.position.y -= box.min.y;
+
+  return scale;
+}
+
+/**
+ * Turn a mesh name like "back_left-leg" into "Back Left Leg"
+ * @param {string} name - Mesh name
+ * @returns {string}
+ */
+function humanizeName(name) {
+  return name
+    .replace(/[_\-.]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/\b\w/g, (char) => char.toUpperCase());
+}
+
+/**
+ * Derive a readable product name from the model source
+ * @param {string|File|Blob} source - Model source
+ * @returns {string}
+ */
+function getSourceName(source) {
+  const path = typeof source === "string" ? source : source.name || "";
+  const fileName = path.split(/[?#]/)[0].split("/").pop();
+  return fileName ? fileName.replace(/\.(glb|gltf)$/i, "") : "Product";
+}
@@ -0,0 +1,349 @@
+import * as THREE from "three";
+import { CSS2DObject } from "three/examples/jsm/renderers/CSS2DRenderer.js";
+
+const OVERLAY_COLOR = 0x60a5fa;
+
+const UNITS = {
+  cm: { label: "cm", metersPerUnit: 0.01 },
+  in: { label: "in", metersPerUnit: 0.0254 },
+};
+
+/**
+ * Format a real-world length
+ * @param {number} meters - Length in meters
+ * @param {string} unit - "cm" or "in"
+ * @returns {string}
+ */
+export function formatLength(meters, unit) {
+  const { label, metersPerUnit } = UNITS[unit] || UNITS.cm;
+  return `${(meters / metersPerUnit).toFixed(1)} ${label}`;
+}
+
+/**
+ * Compute a group's bounding box in its own local space, so the box follows
+ * the product as it rotates instead of growing around it. Overlay objects
+ * (userData.isOverlay) are left out.
+ * @param {THREE.Object3D} group - Product group
+ * @returns {THREE.Box3}
+ */
+export function computeLocalBounds(group) {
+  group.updateWorldMatrix(true, true);
+
+  const inverse = group.matrixWorld.clone().invert();
+  const matrix = new THREE.Matrix4();
+  const meshBox = new THREE.Box3();
+  const bounds = new THREE.Box3();
+
+  const visit = (object) => {
+    if (object.userData.isOverlay) return;
+
+    if (object.isMesh) {
+      if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+      matrix.multiplyMatrices(inverse, object.matrixWorld);
+      meshBox.copy(object.geometry.boundingBox).applyMatrix4(matrix);
+      bounds.union(meshBox);
+    }
+
+    object.children.forEach(visit);
+  };
+  visit(group);
+
+  return bounds;
+}
+
+/**
+ * Create a text label anchored to a 3D position
+ * @param {string} className - CSS class of the label element
+ * @returns {CSS2DObject}
+ */
+function createLabel(className) {
+  const element = document.createElement("div");
+  element.className = className;
+  return new CSS2DObject(element);
+}
+
+/**
+ * CSS2D labels are not hidden with their parent, so drop their elements when
+ * an overlay is taken out of the scene
+ * @param {THREE.Object3D} object - Overlay root
+ */
+function removeLabelElements(object) {
+  object.traverse((child) => {
+    if (child.isCSS2DObject && child.element.parentNode) {
+      child.element.parentNode.removeChild(child.element);
+    }
+  });
+}
+
+/**
+ * Draws the product's overall width, depth and height with labeled lines
+ */
+export class DimensionsOverlay {
+  /**
+   * @param {THREE.Group} productGroup - Product root the lines are attached to
+   * @param {Object} options
+   * @param {number} options.metersPerUnit - Real-world size of one scene unit
+   * @param {string} [options.unit="cm"] - Display unit, "cm" or "in"
+   */
+  constructor(productGroup, { metersPerUnit, unit = "cm" }) {
+    this.productGroup = productGroup;
+    this.metersPerUnit = metersPerUnit;
+    this.unit = unit;
+    this.visible = false;
+
+    this.group = new THREE.Group();
+    this.group.name = "dimensions_overlay";
+    this.group.userData.isOverlay = true;
+
+    this.material = new THREE.LineBasicMaterial({
+      color: OVERLAY_COLOR,
+      depthTest: false,
+      transparent: true,
+    });
+    this.lines = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      this.material
+    );
+    this.lines.renderOrder = 999;
+    this.group.add(this.lines);
+
+    this.labels = {
+      width: createLabel("dimension-label"),
+      depth: createLabel("dimension-label"),
+      height: createLabel("dimension-label"),
+    };
+    Object.values(this.labels).forEach((label) => this.group.add(label));
+  }
+
+  /**
+   * Show or hide the overlay
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.visible = visible;
+
+    if (visible) {
+      this.refresh();
+      this.productGroup.add(this.group);
+    } else {
+      this.productGroup.remove(this.group);
+      removeLabelElements(this.group);
+    }
+  }
+
+  /**
+   * @param {string} unit - "cm" or "in"
+   */
+  setUnit(unit) {
+    this.unit = unit;
+    if (this.visible) this.refresh();
+  }
+
+  /**
+   * Rebuild the lines and labels from the current product bounds
+   */
+  refresh() {
+    const bounds = computeLocalBounds(this.productGroup);
+    if (bounds.isEmpty()) return;
+
+    const { min, max } = bounds;
+    const size = bounds.getSize(new THREE.Vector3());
+    const pad = Math.max(size.x, size.y, size.z) * 0.08;
+    const tick = pad * 0.4;
+
+    const width = [
+      new THREE.Vector3(min.x, min.y, max.z + pad),
+      new THREE.Vector3(max.x, min.y, max.z + pad),
+    ];
+    const depth = [
+      new THREE.Vector3(max.x + pad, min.y, min.z),
+      new THREE.Vector3(max.x + pad, min.y, max.z),
+    ];
+    const height = [
+      new THREE.Vector3(max.x + pad, min.y, min.z - pad),
+      new THREE.Vector3(max.x + pad, max.y, min.z - pad),
+    ];
+
+    const points = [
+      ...width,
+      ...depth,
+      ...height,
+      // End ticks
+      ...withTicks(width, new THREE.Vector3(0, 0, tick)),
+      ...withTicks(depth, new THREE.Vector3(tick, 0, 0)),
+      ...withTicks(height, new THREE.Vector3(tick, 0, 0)),
+    ];
+    this.lines.geometry.dispose();
+    this.lines.geometry = new THREE.BufferGeometry().setFromPoints(points);
+
+    this.placeLabel(this.labels.width, width, "W", size.x);
+    this.placeLabel(this.labels.depth, depth, "D", size.z);
+    this.placeLabel(this.labels.height, height, "H", size.y);
+  }
+
+  /**
+   * Put a label at the middle of a dimension line
+   * @param {CSS2DObject} label - Label object
+   * @param {THREE.Vector3[]} line - Start and end of the line
+   * @param {string} prefix - Dimension letter
+   * @param {number} length - Length in scene units
+   */
+  placeLabel(label, line, prefix, length) {
+    label.position.lerpVectors(line[0], line[1], 0.5);
+    label.element.textContent = `${prefix} ${formatLength(
+      length * this.metersPerUnit,
+      this.unit
+    )}`;
+  }
+
+  /**
+   * Remove the overlay and free its GPU resources
+   */
+  dispose() {
+    this.setVisible(false);
+    this.lines.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+/**
+ * Short perpendicular segments at both ends of a line
+ * @param {THREE.Vector3[]} line - Start and end of the line
+ * @param {THREE.Vector3} offset - Half-length and direction of a tick
+ * @returns {THREE.Vector3[]} Segment end points
+ */
+function withTicks(line, offset) {
+  return line.flatMap((point) => [
+    point.clone().sub(offset),
+    point.clone().add(offset),
+  ]);
+}
+
+/**
+ * Point-to-point measurement on product surfaces
+ */
+export class MeasureTool {
+  /**
+   * @param {THREE.Group} productGroup - Product root the markers are attached to
+   * @param {Object} options
+   * @param {number} options.metersPerUnit - Real-world size of one scene unit
+   * @param {string} [options.unit="cm"] - Display unit, "cm" or "in"
+   */
+  constructor(productGroup, { metersPerUnit, unit = "cm" }) {
+    this.productGroup = productGroup;
+    this.metersPerUnit = metersPerUnit;
+    this.unit = unit;
+    this.active = false;
+    this.points = [];
+
+    this.group = new THREE.Group();
+    this.group.name = "measure_overlay";
+    this.group.userData.isOverlay = true;
+    productGroup.add(this.group);
+
+    this.markerGeometry = new THREE.SphereGeometry(0.03, 12, 12);
+    this.material = new THREE.MeshBasicMaterial({
+      color: OVERLAY_COLOR,
+      depthTest: false,
+      transparent: true,
+    });
+    this.lineMaterial = new THREE.LineBasicMaterial({
+      color: OVERLAY_COLOR,
+      depthTest: false,
+      transparent: true,
+    });
+
+    this.line = null;
+    this.label = createLabel("measure-label");
+  }
+
+  /**
+   * Turn point picking on or off; turning it off clears the measurement
+   * @param {boolean} active
+   */
+  setActive(active) {
+    this.active = active;
+    if (!active) this.clear();
+  }
+
+  /**
+   * Add a picked surface point. The third point starts a new measurement.
+   * @param {THREE.Vector3} worldPoint - Intersection point in world space
+   * @returns {number|null} Distance in meters once two points are placed
+   */
+  addPoint(worldPoint) {
+    if (this.points.length === 2) this.clear();
+
+    const point = this.productGroup.worldToLocal(worldPoint.clone());
+    this.points.push(point);
+
+    const marker = new THREE.Mesh(this.markerGeometry, this.material);
+    marker.position.copy(point);
+    marker.renderOrder = 999;
+    this.group.add(marker);
+
+    if (this.points.length < 2) return null;
+
+    const [start, end] = this.points;
+    this.line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(this.points),
+      this.lineMaterial
+    );
+    this.line.renderOrder = 999;
+    this.group.add(this.line);
+
+    this.label.position.lerpVectors(start, end, 0.5);
+    this.group.add(this.label);
+    this.updateLabel();
+
+    return this.getDistance();
+  }
+
+  /**
+   * @returns {number|null} Distance between the two points in meters
+   */
+  getDistance() {
+    if (this.points.length < 2) return null;
+    return this.points[0].distanceTo(this.points[1]) * this.metersPerUnit;
+  }
+
+  /**
+   * @param {string} unit - "cm" or "in"
+   */
+  setUnit(unit) {
+    this.unit = unit;
+    this.updateLabel();
+  }
+
+  /**
+   * Show the distance in the current unit
+   */
+  updateLabel() {
+    const distance = this.getDistance();
+    if (distance !== null) {
+      this.label.element.textContent = formatLength(distance, this.unit);
+    }
+  }
+
+  /**
+   * Remove the markers, line and label
+   */
+  clear() {
+    removeLabelElements(this.group);
+    if (this.line) this.line.geometry.dispose();
+    this.group.clear();
+    this.points = [];
+    this.line = null;
+  }
+
+  /**
+   * Remove the overlay and free its GPU resources
+   */
+  dispose() {
+    this.clear();
+    this.productGroup.remove(this.group);
+    this.markerGeometry.dispose();
+    this.material.dispose();
+    this.lineMaterial.dispose();
+  }
+}
@@ -0,0 +1,222 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { USDZExporter } from "three/examples/jsm/exporters/USDZExporter.js";
+import { OBJExporter } from "three/examples/jsm/exporters/OBJExporter.js";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { USDZLoader } from "three/examples/jsm/loaders/USDZLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+
+/**
+ * 3D file formats the configured product can be exported to. USDZ is for
+ * handing off to AR Quick Look; OBJ only carries geometry and mesh names.
+ */
+export const MODEL_FORMATS = {
+  glb: { name: "GLB", extension: "glb", type: "model/gltf-binary" },
+  gltf: { name: "glTF", extension: "gltf", type: "model/gltf+json" },
+  usdz: { name: "USDZ", extension: "usdz", type: "model/vnd.usdz+zip" },
+  obj: { name: "OBJ", extension: "obj", type: "model/obj" },
+};
+
+/**
+ * @param {string} format - Key of `MODEL_FORMATS`
+ * @returns {Object} Format entry
+ */
+function getFormat(format) {
+  const entry = MODEL_FORMATS[format];
+  if (!entry) {
+    throw new Error(`Unknown model format "${format}"`);
+  }
+  return entry;
+}
+
+/**
+ * Copy the product as it is configured, for exporting. The copy shares the
+ * product's geometries and materials and leaves out hidden parts, overlays
+ * (userData.isOverlay) and hotspot labels. Parts show their own materials
+ * rather than highlights or ghosting, and the root is scaled to meters.
+ * @param {THREE.Group} productGroup - Product root
+ * @param {Array} productParts - Product parts
+ * @param {Object} [options]
+ * @param {Map} [options.positions] - Positions to export instead of the
+ * current ones, by object, e.g. the assembled positions of exploded parts
+ * @returns {THREE.Group}
+ */
+export function createExportCopy(productGroup, productParts, options = {}) {
+  const { positions = new Map() } = options;
+
+  const materials = new Map();
+  const partsByMesh = new Map();
+  productParts.forEach((part) => {
+    part.meshMaterials.forEach((material, mesh) => {
+      materials.set(mesh, material);
+    });
+    partsByMesh.set(part.mesh, part);
+  });
+
+  const copy = (object) => {
+    if (!object.visible || object.userData.isOverlay || object.isCSS2DObject) {
+      return null;
+    }
+
+    const clone = object.clone(false);
+    if (materials.has(object)) clone.material = materials.get(object);
+    if (positions.has(object)) clone.position.copy(positions.get(object));
+
+    // Part ids and names end up in the glTF node extras
+    const part = partsByMesh.get(object);
+    if (part) {
+      clone.userData.partId = part.id;
+      clone.userData.partName = part.name;
+    }
+
+    object.children.forEach((child) => {
+      const childCopy = copy(child);
+      if (childCopy) clone.add(childCopy);
+    });
+    return clone;
+  };
+
+  const root = new THREE.Group();
+  root.name = productGroup.name;
+  root.scale.setScalar(productGroup.userData.metersPerUnit || 1);
+  productGroup.children.forEach((child) => {
+    const childCopy = copy(child);
+    if (childCopy) root.add(childCopy);
+  });
+  root.updateMatrixWorld(true);
+
+  return root;
+}
+
+/**
+ * Export a copy made by `createExportCopy`
+ * @param {THREE.Object3D} object - Object to export
+ * @param {string} format - Key of `MODEL_FORMATS`
+ * @returns {Promise<Blob>}
+ */
+export async function exportModel(object, format) {
+  const { type } = getFormat(format);
+
+  let data;
+  if (format === "glb" || format === "gltf") {
+    const result = await new GLTFExporter().parseAsync(object, {
+      binary: format === "glb",
+      onlyVisible: true,
+    });
+    data = format === "glb" ? result : JSON.stringify(result);
+  } else if (format === "usdz") {
+    data = await new USDZExporter().parse(object, {
+      quickLookCompatible: true,
+    });
+  } else {
+    data = new OBJExporter().parse(object);
+  }
+
+  return new Blob([data], { type });
+}
+
+/**
+ * Load an exported file back
+ * @param {Blob} blob - Exported file
+ * @param {string} format - Key of `MODEL_FORMATS`
+ * @returns {Promise<THREE.Object3D>}
+ */
+export async function importModel(blob, format) {
+  getFormat(format);
+
+  if (format === "glb" || format === "gltf") {
+    const data =
+      format === "glb" ? await blob.arrayBuffer() : await blob.text();
+    const gltf = await new GLTFLoader().parseAsync(data, "");
+    return gltf.scene;
+  }
+  if (format === "usdz") {
+    return new USDZLoader().parse(await blob.arrayBuffer());
+  }
+  return new OBJLoader().parse(await blob.text());
+}
+
+/**
+ * @param {THREE.Object3D} object - Exported or imported model
+ * @returns {THREE.Mesh[]}
+ */
+function collectMeshes(object) {
+  const meshes = [];
+  object.traverse((child) => {
+    if (child.isMesh) meshes.push(child);
+  });
+  return meshes;
+}
+
+/**
+ * Free a model's geometries, materials and textures, including the image
+ * bitmaps the loaders decode textures into
+ * @param {THREE.Object3D} object - Imported model
+ */
+function disposeModel(object) {
+  collectMeshes(object).forEach((mesh) => {
+    mesh.geometry.dispose();
+    const materials = Array.isArray(mesh.material)
+      ? mesh.material
+      : [mesh.material];
+    materials.forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (!value || !value.isTexture) return;
+        const image = value.source.data;
+        if (image && typeof image.close === "function") image.close();
+        value.dispose();
+      });
+      material.dispose();
+    });
+  });
+}
+
+/**
+ * Check an exported file by loading it back: it needs at least as many meshes
+ * as were exported and, except for USDZ whose exporter names prims itself,
+ * every named mesh. The loaded copy is freed again.
+ * @param {Blob} blob - Exported file
+ * @param {string} format - Key of `MODEL_FORMATS`
+ * @param {THREE.Object3D} object - Object that was exported
+ * @returns {Promise<void>}
+ */
+export async function verifyModel(blob, format, object) {
+  const imported = await importModel(blob, format);
+  try {
+    checkModel(imported, format, object);
+  } finally {
+    disposeModel(imported);
+  }
+}
+
+/**
+ * @param {THREE.Object3D} imported - Model loaded from the exported file
+ * @param {string} format - Key of `MODEL_FORMATS`
+ * @param {THREE.Object3D} object - Object that was exported
+ */
+function checkModel(imported, format, object) {
+  const expected = collectMeshes(object);
+  const actual = collectMeshes(imported);
+  if (actual.length < expected.length) {
+    throw new Error(
+      `The exported file has ${actual.length} of ${expected.length} meshes`
+    );
+  }
+
+  if (format !== "usdz") {
+    // The glTF loader sanitizes node names the same way
+    const names = new Set();
+    imported.traverse((child) => {
+      names.add(THREE.PropertyBinding.sanitizeNodeName(child.name));
+    });
+
+    const missing = expected.find(
+      (mesh) =>
+        mesh.name &&
+        !names.has(THREE.PropertyBinding.sanitizeNodeName(mesh.name))
+    );
+    if (missing) {
+      throw new Error(`The exported file lacks the mesh "${missing.name}"`);
+    }
+  }
+}
@@ -0,0 +1,188 @@
+import * as THREE from "three";
+import { OutlinePass } from "three/examples/jsm/postprocessing/OutlinePass.js";
+
+/**
+ * Default outline styles of hovered and selected parts.
+ * - `color`: edge color
+ * - `thickness`: edge width, 1–4
+ * - `glow`: soft glow around the edge, 0–1
+ * - `strength`: edge brightness
+ * - `pulse`: seconds per pulse of the edge brightness, 0 for a steady edge
+ */
+export const DEFAULT_HIGHLIGHT_STYLES = {
+  hover: { color: "#00ff88", thickness: 1, glow: 0, strength: 3, pulse: 0 },
+  selection: {
+    color: "#ff6644",
+    thickness: 2,
+    glow: 0.5,
+    strength: 5,
+    pulse: 2,
+  },
+};
+
+// Brightness of hidden edges, i.e. behind other geometry, relative to visible ones
+const HIDDEN_EDGE_SCALE = 0.3;
+
+// Lowest edge brightness during a pulse, relative to the style's strength
+const PULSE_MIN = 0.5;
+
+const NO_OBJECTS = [];
+
+/**
+ * Screen-space outlines around the hovered and the selected part, drawn by
+ * post-processing passes so the parts keep their own materials. The passes
+ * are added to a `RenderPipeline` and only enabled while they outline a part.
+ */
+export class PartHighlights {
+  /**
+   * @param {THREE.Scene} scene - Scene the parts are in
+   * @param {THREE.PerspectiveCamera} camera - Camera of the live view
+   * @param {AnimationScheduler} scheduler - Scheduler driving the pulse
+   * @param {Object} [styles] - Overrides of `DEFAULT_HIGHLIGHT_STYLES`
+   */
+  constructor(scene, camera, scheduler, styles = {}) {
+    this.hoveredPart = null;
+    this.selectedPart = null;
+    this.suspended = false;
+    this.styles = {};
+    this.passes = {};
+
+    // Selection first, so the hover outline is drawn on top
+    ["selection", "hover"].forEach((kind) => {
+      const pass = new OutlinePass(new THREE.Vector2(256, 256), scene, camera);
+      pass.enabled = false;
+      this.passes[kind] = pass;
+      this.setStyle(kind, styles[kind]);
+    });
+
+    // The pulse is ambient motion, held still with the other ambient effects
+    let time = 0;
+    this.removePulseTask = scheduler.add(
+      (delta) => {
+        time += delta;
+        this.updatePulse(time);
+      },
+      { channel: "ambient" }
+    );
+  }
+
+  /**
+   * @returns {OutlinePass[]} Passes to add to the render pipeline, in order
+   */
+  getPasses() {
+    return [this.passes.selection, this.passes.hover];
+  }
+
+  /**
+   * Change how hovered or selected parts are outlined
+   * @param {string} kind - "hover" or "selection"
+   * @param {Object} [style] - Fields of `DEFAULT_HIGHLIGHT_STYLES` to change
+   */
+  setStyle(kind, style = {}) {
+    const pass = this.passes[kind];
+    if (!pass) {
+      throw new Error(`Unknown highlight "${kind}"`);
+    }
+
+    const current = this.styles[kind] || DEFAULT_HIGHLIGHT_STYLES[kind];
+    const next = { ...current, ...style };
+    this.styles[kind] = next;
+
+    pass.visibleEdgeColor.set(next.color);
+    pass.hiddenEdgeColor
+      .copy(pass.visibleEdgeColor)
+      .multiplyScalar(HIDDEN_EDGE_SCALE);
+    pass.edgeThickness = next.thickness;
+    pass.edgeGlow = next.glow;
+    pass.edgeStrength = next.strength;
+  }
+
+  /**
+   * @param {string} kind - "hover" or "selection"
+   * @returns {Object} Current style of that highlight
+   */
+  getStyle(kind) {
+    return { ...this.styles[kind] };
+  }
+
+  /**
+   * @param {Object|null} part - Part under the pointer or keyboard highlight
+   */
+  setHovered(part) {
+    this.hoveredPart = part;
+    this.update();
+  }
+
+  /**
+   * @param {Object|null} part - Selected part
+   */
+  setSelected(part) {
+    this.selectedPart = part;
+    this.update();
+  }
+
+  /**
+   * Point the passes at the current parts; a selected part that is also
+   * hovered only shows its selection outline
+   */
+  update() {
+    const hovered =
+      this.hoveredPart !== this.selectedPart ? this.hoveredPart : null;
+
+    this.showPart(this.passes.hover, hovered);
+    this.showPart(this.passes.selection, this.selectedPart);
+  }
+
+  /**
+   * @param {OutlinePass} pass - Outline pass
+   * @param {Object|null} part - Part to outline, or null for none
+   */
+  showPart(pass, part) {
+    pass.selectedObjects = part ? part.meshes : NO_OBJECTS;
+    pass.enabled = Boolean(part) && !this.suspended;
+  }
+
+  /**
+   * Vary the edge brightness of pulsing highlights
+   * @param {number} time - Seconds since the highlights were created
+   */
+  updatePulse(time) {
+    Object.entries(this.passes).forEach(([kind, pass]) => {
+      const { strength, pulse } = this.styles[kind];
+      if (pulse <= 0) {
+        pass.edgeStrength = strength;
+        return;
+      }
+
+      const wave = (1 + Math.cos((time * 2 * Math.PI) / pulse)) / 2;
+      pass.edgeStrength = strength * (PULSE_MIN + (1 - PULSE_MIN) * wave);
+    });
+  }
+
+  /**
+   * Hide the outlines, e.g. while exporting images
+   * @returns {Function} Shows them again
+   */
+  suspend() {
+    this.suspended = true;
+    this.update();
+
+    return () => {
+      this.suspended = false;
+      this.update();
+    };
+  }
+
+  /**
+   * Stop the pulse and free the passes' render targets
+   */
+  dispose() {
+    this.removePulseTask();
+    this.getPasses().forEach((pass) => {
+      pass.selectedObjects = NO_OBJECTS;
+      pass.dispose();
+    });
+    this.hoveredPart = null;
+    this.selectedPart = null;
+  }
+}
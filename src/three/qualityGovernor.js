@@ -0,0 +1,199 @@
+import * as THREE from "three";
+
+/**
+ * Rendering quality tiers, cheapest first. `ambientOcclusion` and `bloom`
+ * say whether the tier allows those effects when they are switched on.
+ */
+export const QUALITY_TIERS = [
+  {
+    id: "low",
+    name: "Low",
+    pixelRatio: 1,
+    shadowMapSize: 512,
+    shadowType: THREE.BasicShadowMap,
+    antialias: false,
+    ambientOcclusion: false,
+    bloom: false,
+  },
+  {
+    id: "medium",
+    name: "Medium",
+    pixelRatio: 1.5,
+    shadowMapSize: 1024,
+    shadowType: THREE.PCFShadowMap,
+    antialias: false,
+    ambientOcclusion: false,
+    bloom: true,
+  },
+  {
+    id: "high",
+    name: "High",
+    pixelRatio: 2,
+    shadowMapSize: 2048,
+    shadowType: THREE.PCFSoftShadowMap,
+    antialias: true,
+    ambientOcclusion: true,
+    bloom: true,
+  },
+];
+
+// Rendered frames averaged before deciding on a tier change
+const SAMPLE_FRAMES = 60;
+
+// Average frame times (ms) below and above which quality goes up or down
+const STEP_UP_FRAME_TIME = 1000 / 55;
+const STEP_DOWN_FRAME_TIME = 1000 / 40;
+
+// Good sample windows in a row needed to step up, and after a step down
+const STEP_UP_WINDOWS = 3;
+const STEP_DOWN_COOLDOWN_WINDOWS = 10;
+
+// Gaps (ms) between rendered frames longer than this are idle time, not load
+const MAX_FRAME_GAP = 100;
+
+/**
+ * Applies a quality tier to the renderer, the shadow-casting lights and the
+ * render pipeline. In auto mode it measures the time between rendered frames
+ * and steps down a tier when frames are slow, or back up when there is
+ * headroom. Dispatches "change" whenever the tier or mode changes.
+ */
+export class QualityGovernor extends THREE.EventDispatcher {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer of the live view
+   * @param {THREE.Scene} scene - Scene whose lights cast shadows
+   * @param {RenderPipeline} pipeline - Pipeline that antialiases
+   */
+  constructor(renderer, scene, pipeline) {
+    super();
+
+    this.renderer = renderer;
+    this.scene = scene;
+    this.pipeline = pipeline;
+    this.auto = true;
+    this.tierIndex = QUALITY_TIERS.length - 1;
+
+    this.lastFrameTime = null;
+    this.frameTimes = [];
+    this.goodWindows = 0;
+  }
+
+  /**
+   * @returns {Object} Current entry of `QUALITY_TIERS`
+   */
+  getTier() {
+    return QUALITY_TIERS[this.tierIndex];
+  }
+
+  /**
+   * @returns {number} Pixel ratio of the current tier on this display
+   */
+  getPixelRatio() {
+    return Math.min(window.devicePixelRatio, this.getTier().pixelRatio);
+  }
+
+  /**
+   * Use a fixed tier, or let frame times decide
+   * @param {string} tierId - Tier id or "auto"
+   */
+  setQuality(tierId) {
+    if (tierId === "auto") {
+      this.auto = true;
+      this.resetSamples();
+      this.dispatchEvent({ type: "change" });
+      return;
+    }
+
+    const index = QUALITY_TIERS.findIndex((tier) => tier.id === tierId);
+    if (index === -1) {
+      throw new Error(`Unknown quality tier "${tierId}"`);
+    }
+
+    this.auto = false;
+    this.setTierIndex(index);
+  }
+
+  /**
+   * Record a rendered frame (called in animation loop)
+   * @param {number} [now=performance.now()] - Time of the frame in ms
+   */
+  sample(now = performance.now()) {
+    const gap = this.lastFrameTime === null ? null : now - this.lastFrameTime;
+    this.lastFrameTime = now;
+    if (!this.auto || gap === null || gap > MAX_FRAME_GAP) return;
+
+    this.frameTimes.push(gap);
+    if (this.frameTimes.length < SAMPLE_FRAMES) return;
+
+    const average =
+      this.frameTimes.reduce((sum, time) => sum + time, 0) /
+      this.frameTimes.length;
+    this.frameTimes = [];
+
+    if (average > STEP_DOWN_FRAME_TIME && this.tierIndex > 0) {
+      this.setTierIndex(this.tierIndex - 1);
+      this.goodWindows = -STEP_DOWN_COOLDOWN_WINDOWS;
+    } else if (average < STEP_UP_FRAME_TIME) {
+      this.goodWindows++;
+      if (
+        this.goodWindows >= STEP_UP_WINDOWS &&
+        this.tierIndex < QUALITY_TIERS.length - 1
+      ) {
+        this.setTierIndex(this.tierIndex + 1);
+      }
+    } else {
+      this.goodWindows = Math.min(this.goodWindows, 0);
+    }
+  }
+
+  /**
+   * @param {number} index - Index into `QUALITY_TIERS`
+   */
+  setTierIndex(index) {
+    this.tierIndex = index;
+    this.resetSamples();
+    this.apply();
+    this.dispatchEvent({ type: "change" });
+  }
+
+  resetSamples() {
+    this.frameTimes = [];
+    this.goodWindows = 0;
+    this.lastFrameTime = null;
+  }
+
+  /**
+   * Push the current tier's settings to the renderer, lights and pipeline
+   */
+  apply() {
+    const tier = this.getTier();
+    const renderer = this.renderer;
+
+    renderer.setPixelRatio(this.getPixelRatio());
+
+    // Shadow maps are recreated at the new size on the next frame
+    this.scene.traverse((object) => {
+      if (!object.isLight || !object.castShadow) return;
+      object.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+      if (object.shadow.map) {
+        object.shadow.map.dispose();
+        object.shadow.map = null;
+      }
+    });
+
+    // Materials are compiled for a shadow type
+    if (renderer.shadowMap.type !== tier.shadowType) {
+      renderer.shadowMap.type = tier.shadowType;
+      this.scene.traverse((object) => {
+        const materials = Array.isArray(object.material)
+          ? object.material
+          : [object.material];
+        materials.forEach((material) => {
+          if (material) material.needsUpdate = true;
+        });
+      });
+    }
+
+    this.pipeline.setAntialias(tier.antialias);
+    this.pipeline.resize();
+  }
+}
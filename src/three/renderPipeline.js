@@ -0,0 +1,204 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
+import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass.js";
+
+// MSAA samples of the offscreen target when antialiasing is on
+const MSAA_SAMPLES = 4;
+
+/**
+ * Layer of helper geometry that only the scene render draws, e.g. section
+ * caps. Passes that draw the scene again with their own materials (outlines,
+ * ambient occlusion) leave it out.
+ */
+export const SCENE_ONLY_LAYER = 1;
+
+/**
+ * Draws the scene to the canvas. Frames go straight to the canvas unless
+ * antialiasing or an added pass (e.g. outlines) is enabled; then they are drawn
+ * into an offscreen target first, multisampled when antialiasing. The WebGL
+ * context itself is created without antialiasing, so it can change at runtime;
+ * while it is off, an optional screen-space antialiasing pass runs instead.
+ * Frames can also be limited to a viewport, e.g. one side of a split screen.
+ */
+export class RenderPipeline {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer of the canvas
+   * @param {THREE.Scene} scene - Scene to draw
+   * @param {THREE.PerspectiveCamera} camera - Camera of the live view
+   */
+  constructor(renderer, scene, camera) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.camera.layers.enable(SCENE_ONLY_LAYER);
+    this.antialias = false;
+    this.passes = [];
+    this.antialiasPass = null;
+
+    // Part of the canvas to draw into, null for all of it
+    this.viewport = null;
+
+    // Copy of the drawing camera without the scene-only layer, for the passes
+    this.passCamera = camera.clone();
+
+    // Tone mapping and color space conversion move to the output pass
+    this.composer = new EffectComposer(renderer, this.createTarget());
+    this.renderPass = new RenderPass(scene, camera);
+    this.outputPass = new OutputPass();
+    this.composer.addPass(this.renderPass);
+    this.composer.addPass(this.outputPass);
+  }
+
+  /**
+   * @returns {THREE.WebGLRenderTarget} Offscreen target matching the canvas
+   */
+  createTarget() {
+    const size = this.getSize();
+    const pixelRatio = this.renderer.getPixelRatio();
+    return new THREE.WebGLRenderTarget(
+      size.x * pixelRatio,
+      size.y * pixelRatio,
+      {
+        type: THREE.HalfFloatType,
+        samples: this.antialias ? MSAA_SAMPLES : 0,
+        stencilBuffer: true,
+      }
+    );
+  }
+
+  /**
+   * @param {boolean} enabled - Whether to antialias edges
+   */
+  setAntialias(enabled) {
+    if (enabled === this.antialias) return;
+    this.antialias = enabled;
+    this.composer.reset(this.createTarget());
+    if (this.antialiasPass) this.antialiasPass.enabled = !enabled;
+  }
+
+  /**
+   * Use a screen-space antialiasing pass (e.g. FXAA) while MSAA is off. It
+   * runs after the output pass, on display colors. The caller owns the pass.
+   * @param {Pass|null} pass - Antialiasing pass, or null for none
+   */
+  setAntialiasPass(pass) {
+    if (pass === this.antialiasPass) return;
+
+    if (this.antialiasPass) this.composer.removePass(this.antialiasPass);
+    this.antialiasPass = pass;
+    if (!pass) return;
+
+    pass.enabled = !this.antialias;
+    this.composer.addPass(pass);
+  }
+
+  /**
+   * Add a post-processing pass before the output pass. The caller owns the
+   * pass and disposes it after removing it.
+   * @param {Pass} pass - Pass drawing on the rendered scene
+   */
+  addPass(pass) {
+    this.passes.push(pass);
+    this.composer.insertPass(pass, this.composer.passes.length - 1);
+  }
+
+  /**
+   * @param {Pass} pass - Pass added with `addPass`
+   */
+  removePass(pass) {
+    this.passes = this.passes.filter((added) => added !== pass);
+    this.composer.removePass(pass);
+  }
+
+  /**
+   * Draw into part of the canvas from now on. The offscreen targets follow
+   * the viewport's size, so switching between viewports of the same size is
+   * cheap.
+   * @param {THREE.Vector4|null} viewport - `x, y, width, height` in CSS
+   * pixels from the bottom left corner, or null for the whole canvas
+   */
+  setViewport(viewport) {
+    const size = this.getSize();
+    this.viewport = viewport ? viewport.clone() : null;
+    if (!this.getSize().equals(size)) this.resize();
+  }
+
+  /**
+   * @returns {THREE.Vector2} Size of the drawn area in CSS pixels
+   */
+  getSize() {
+    if (this.viewport) {
+      return new THREE.Vector2(this.viewport.z, this.viewport.w);
+    }
+    return this.renderer.getSize(new THREE.Vector2());
+  }
+
+  /**
+   * Match the renderer's size and pixel ratio, e.g. after either changed
+   */
+  resize() {
+    const size = this.getSize();
+    this.composer.setPixelRatio(this.renderer.getPixelRatio());
+    this.composer.setSize(size.x, size.y);
+  }
+
+  /**
+   * Draw a frame
+   * @param {THREE.Camera} [camera=this.camera] - Camera to draw from
+   */
+  render(camera = this.camera) {
+    const renderer = this.renderer;
+    if (!this.viewport) {
+      this.draw(camera);
+      return;
+    }
+
+    renderer.setViewport(this.viewport);
+    renderer.setScissor(this.viewport);
+    renderer.setScissorTest(true);
+    try {
+      this.draw(camera);
+    } finally {
+      const size = renderer.getSize(new THREE.Vector2());
+      renderer.setScissorTest(false);
+      renderer.setViewport(0, 0, size.x, size.y);
+    }
+  }
+
+  /**
+   * Draw a frame into the current viewport
+   * @param {THREE.Camera} camera - Camera to draw from
+   */
+  draw(camera) {
+    const postProcessing =
+      this.antialias ||
+      this.passes.some((pass) => pass.enabled) ||
+      (this.antialiasPass !== null && this.antialiasPass.enabled);
+    if (!postProcessing) {
+      this.renderer.render(this.scene, camera);
+      return;
+    }
+
+    this.passCamera.copy(camera);
+    this.passCamera.layers.disable(SCENE_ONLY_LAYER);
+
+    this.renderPass.camera = camera;
+    this.passes.forEach((pass) => {
+      if ("renderCamera" in pass) pass.renderCamera = this.passCamera;
+      if ("camera" in pass) pass.camera = this.passCamera;
+    });
+    this.composer.render();
+  }
+
+  /**
+   * Free the offscreen targets and the pipeline's own passes
+   */
+  dispose() {
+    this.renderPass.dispose();
+    this.outputPass.dispose();
+    this.composer.dispose();
+    this.passes = [];
+    this.antialiasPass = null;
+  }
+}
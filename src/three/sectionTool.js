@@ -0,0 +1,465 @@
+import * as THREE from "three";
+import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
+import { computeLocalBounds } from "./measurements.js";
+import { SCENE_ONLY_LAYER } from "./renderPipeline.js";
+
+/**
+ * Directions of the axis-aligned cuts, in product space
+ */
+export const SECTION_AXES = {
+  x: [1, 0, 0],
+  y: [0, 1, 0],
+  z: [0, 0, 1],
+};
+
+const DEFAULT_CAP_COLOR = "#f43f5e";
+
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Stencil material counting how often a ray enters (back faces) or leaves
+ * (front faces) a closed mesh behind one clipping plane; where the count is
+ * not zero, the cap of that plane is visible
+ * @param {THREE.Plane} plane - Clipping plane of the section
+ * @param {number} side - THREE.BackSide or THREE.FrontSide
+ * @returns {THREE.MeshBasicMaterial}
+ */
+function createStencilMaterial(plane, side) {
+  const operation =
+    side === THREE.BackSide
+      ? THREE.IncrementWrapStencilOp
+      : THREE.DecrementWrapStencilOp;
+
+  return new THREE.MeshBasicMaterial({
+    side,
+    clippingPlanes: [plane],
+    colorWrite: false,
+    depthWrite: false,
+    depthTest: false,
+    stencilWrite: true,
+    stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: operation,
+    stencilZFail: operation,
+    stencilZPass: operation,
+  });
+}
+
+/**
+ * Cross-section views: clipping planes that cut the product open to show its
+ * inside, optionally with the cut faces filled in a solid color.
+ *
+ * Planes are kept in product space, so they follow the product as it floats
+ * and turns. The last added plane gets a handle that drags it along its
+ * normal. Dispatches "change" whenever a plane, the caps or the handle
+ * change.
+ */
+export class SectionTool extends THREE.EventDispatcher {
+  /**
+   * @param {THREE.Group} productGroup - Product root
+   * @param {Array} productParts - Product parts whose materials are clipped
+   * @param {Object} options
+   * @param {THREE.Scene} options.scene - Scene the caps and handle are added to
+   * @param {THREE.Camera} options.camera - Camera of the live view
+   * @param {HTMLCanvasElement} options.canvas - Canvas the handle is dragged on
+   * @param {OrbitControls} options.controls - Orbit controls, paused while
+   * dragging
+   * @param {AnimationScheduler} options.scheduler - Scheduler updating the
+   * planes every frame
+   * @param {THREE.Material[]} [options.materials] - Further materials to clip,
+   * e.g. the ghost material
+   */
+  constructor(
+    productGroup,
+    productParts,
+    { scene, camera, canvas, controls, scheduler, materials = [] }
+  ) {
+    super();
+
+    this.productGroup = productGroup;
+    this.scene = scene;
+    this.sections = [];
+    this.activeSection = null;
+    this.nextId = 1;
+    this.caps = true;
+    this.capColor = new THREE.Color(DEFAULT_CAP_COLOR);
+
+    // World-space planes, shared by every clipped material
+    this.clippingPlanes = [];
+
+    this.bounds = computeLocalBounds(productGroup);
+    this.center = this.bounds.getCenter(new THREE.Vector3());
+
+    this.meshes = productParts.flatMap((part) => part.meshes);
+    this.materials = new Set([
+      ...productParts.flatMap((part) => [...part.meshMaterials.values()]),
+      ...materials,
+    ]);
+    this.materials.forEach((material) => {
+      material.clippingPlanes = this.clippingPlanes;
+      material.clipShadows = true;
+    });
+
+    // Stencil meshes and caps live in world space, outside the product, so
+    // exports and outlines of the product don't see them
+    this.capsGroup = new THREE.Group();
+    this.capsGroup.name = "section-caps";
+    scene.add(this.capsGroup);
+
+    const capSize = this.bounds.getSize(new THREE.Vector3()).length() * 2;
+    this.capGeometry = new THREE.PlaneGeometry(capSize, capSize);
+
+    this.transformControls = new TransformControls(camera, canvas);
+    this.transformControls.setSpace("local");
+    this.transformControls.showX = false;
+    this.transformControls.showY = false;
+    this.transformControls.setSize(0.75);
+    this.transformControls.addEventListener("dragging-changed", (event) => {
+      controls.enabled = !event.value;
+    });
+    this.transformControls.addEventListener("objectChange", () => {
+      this.handleDrag();
+    });
+    this.transformControls.addEventListener("change", () => {
+      this.dispatchEvent({ type: "change" });
+    });
+    scene.add(this.transformControls);
+    this.controls = controls;
+
+    this.removeTask = scheduler.add(() => this.update());
+  }
+
+  /**
+   * Cut the product along an axis or a custom direction
+   * @param {Object} [options]
+   * @param {string} [options.axis="y"] - "x", "y" or "z"
+   * @param {number[]} [options.normal] - Custom direction `[x, y, z]` in
+   * product space, instead of an axis
+   * @param {number} [options.position=0.5] - Where the plane crosses the
+   * product, from 0 to 1 along the direction; everything beyond is cut away
+   * @returns {number} Id of the new section
+   */
+  addSection({ axis = "y", normal, position = 0.5 } = {}) {
+    if (!normal && !SECTION_AXES[axis]) {
+      throw new Error(`Unknown section axis "${axis}"`);
+    }
+
+    const direction = new THREE.Vector3().fromArray(
+      normal || SECTION_AXES[axis]
+    );
+    if (direction.lengthSq() === 0) {
+      throw new Error("A section normal must not be zero");
+    }
+    direction.normalize();
+
+    const section = {
+      id: this.nextId++,
+      direction,
+      range: this.getRange(direction),
+      position: 0,
+      localPlane: new THREE.Plane(),
+      plane: new THREE.Plane(),
+      handle: new THREE.Object3D(),
+    };
+
+    // The handle's z axis is the one TransformControls shows
+    section.handle.name = `section-handle-${section.id}`;
+    section.handle.userData.isOverlay = true;
+    section.handle.quaternion.setFromUnitVectors(Z_AXIS, direction);
+    this.productGroup.add(section.handle);
+
+    this.createCaps(section);
+    this.sections.push(section);
+    this.clippingPlanes.push(section.plane);
+    this.updateCapClipping();
+
+    this.setSectionPosition(section.id, position);
+    this.setActiveSection(section);
+
+    return section.id;
+  }
+
+  /**
+   * @param {THREE.Vector3} direction - Unit direction in product space
+   * @returns {Object} `{min, max}` extent of the product along the direction
+   */
+  getRange(direction) {
+    const { min, max } = this.bounds;
+    const corner = new THREE.Vector3();
+    const range = { min: Infinity, max: -Infinity };
+
+    for (let i = 0; i < 8; i++) {
+      corner.set(
+        i & 1 ? max.x : min.x,
+        i & 2 ? max.y : min.y,
+        i & 4 ? max.z : min.z
+      );
+      const distance = corner.dot(direction);
+      range.min = Math.min(range.min, distance);
+      range.max = Math.max(range.max, distance);
+    }
+
+    return range;
+  }
+
+  /**
+   * Create the stencil meshes and the cap of a section
+   * @param {Object} section - Section entry
+   */
+  createCaps(section) {
+    section.stencilMaterials = [
+      createStencilMaterial(section.plane, THREE.BackSide),
+      createStencilMaterial(section.plane, THREE.FrontSide),
+    ];
+
+    section.stencilMeshes = this.meshes.flatMap((mesh) =>
+      section.stencilMaterials.map((material) => {
+        const stencil = new THREE.Mesh(mesh.geometry, material);
+        stencil.matrixAutoUpdate = false;
+        stencil.layers.set(SCENE_ONLY_LAYER);
+        stencil.userData.source = mesh;
+        this.capsGroup.add(stencil);
+        return stencil;
+      })
+    );
+
+    // Drawn where the stencil count is not zero, resetting it on the way
+    section.capMaterial = new THREE.MeshBasicMaterial({
+      color: this.capColor,
+      side: THREE.DoubleSide,
+      stencilWrite: true,
+      stencilRef: 0,
+      stencilFunc: THREE.NotEqualStencilFunc,
+      stencilFail: THREE.ReplaceStencilOp,
+      stencilZFail: THREE.ReplaceStencilOp,
+      stencilZPass: THREE.ReplaceStencilOp,
+    });
+    section.cap = new THREE.Mesh(this.capGeometry, section.capMaterial);
+    section.cap.layers.set(SCENE_ONLY_LAYER);
+    section.cap.onAfterRender = (renderer) => renderer.clearStencil();
+    this.capsGroup.add(section.cap);
+  }
+
+  /**
+   * Clip every cap by the other planes and draw the sections in order
+   */
+  updateCapClipping() {
+    this.sections.forEach((section, index) => {
+      section.capMaterial.clippingPlanes = this.clippingPlanes.filter(
+        (plane) => plane !== section.plane
+      );
+      section.stencilMeshes.forEach((stencil) => {
+        stencil.renderOrder = index + 1;
+      });
+      section.cap.renderOrder = index + 1.1;
+    });
+  }
+
+  /**
+   * Move a section's plane
+   * @param {number} id - Section id
+   * @param {number} position - From 0 to 1 along the section's direction
+   */
+  setSectionPosition(id, position) {
+    const section = this.getSection(id);
+    const { direction, range } = section;
+
+    section.position = THREE.MathUtils.clamp(position, 0, 1);
+    const distance = range.min + section.position * (range.max - range.min);
+
+    // Keeps the side the direction points away from
+    section.localPlane.set(direction.clone().negate(), distance);
+
+    // Put the handle where the plane crosses the middle of the product
+    section.handle.position
+      .copy(direction)
+      .multiplyScalar(distance - this.center.dot(direction))
+      .add(this.center);
+
+    this.dispatchEvent({ type: "change" });
+  }
+
+  /**
+   * Follow the dragged handle, keeping it within the product
+   */
+  handleDrag() {
+    const section = this.activeSection;
+    if (!section) return;
+
+    const { min, max } = section.range;
+    const distance = section.handle.position.dot(section.direction);
+    this.setSectionPosition(
+      section.id,
+      max > min ? (distance - min) / (max - min) : 0.5
+    );
+  }
+
+  /**
+   * @param {Object|null} section - Section to show the handle on
+   */
+  setActiveSection(section) {
+    this.activeSection = section;
+    if (section) {
+      this.transformControls.attach(section.handle);
+    } else {
+      this.transformControls.detach();
+    }
+  }
+
+  /**
+   * @param {number} id - Section id
+   * @returns {Object} Section entry
+   */
+  getSection(id) {
+    const section = this.sections.find((entry) => entry.id === id);
+    if (!section) {
+      throw new Error(`Unknown section ${id}`);
+    }
+    return section;
+  }
+
+  /**
+   * @returns {Array} `{id, normal, position}` of every section, in product
+   * space
+   */
+  getSections() {
+    return this.sections.map(({ id, direction, position }) => ({
+      id,
+      normal: direction.toArray(),
+      position,
+    }));
+  }
+
+  /**
+   * Remove a section
+   * @param {number} id - Section id
+   */
+  removeSection(id) {
+    const section = this.getSection(id);
+
+    this.sections = this.sections.filter((entry) => entry !== section);
+    this.clippingPlanes.splice(this.clippingPlanes.indexOf(section.plane), 1);
+    this.disposeSection(section);
+    this.updateCapClipping();
+
+    if (this.activeSection === section) {
+      this.setActiveSection(this.sections[this.sections.length - 1] || null);
+    }
+    this.dispatchEvent({ type: "change" });
+  }
+
+  /**
+   * Remove every section
+   */
+  clear() {
+    [...this.sections].forEach((section) => this.removeSection(section.id));
+  }
+
+  /**
+   * @param {Object} section - Section entry
+   */
+  disposeSection(section) {
+    section.stencilMeshes.forEach((stencil) => this.capsGroup.remove(stencil));
+    this.capsGroup.remove(section.cap);
+    section.stencilMaterials.forEach((material) => material.dispose());
+    section.capMaterial.dispose();
+    this.productGroup.remove(section.handle);
+  }
+
+  /**
+   * @param {boolean} enabled - Whether to fill the cut faces
+   */
+  setCaps(enabled) {
+    this.caps = enabled;
+    this.dispatchEvent({ type: "change" });
+  }
+
+  /**
+   * @param {THREE.ColorRepresentation} color - Color of the cut faces
+   */
+  setCapColor(color) {
+    this.capColor.set(color);
+    this.sections.forEach((section) => {
+      section.capMaterial.color.copy(this.capColor);
+    });
+    this.dispatchEvent({ type: "change" });
+  }
+
+  /**
+   * @returns {boolean} Whether the pointer is over the handle
+   */
+  isHandleHovered() {
+    return this.transformControls.axis !== null;
+  }
+
+  /**
+   * Hide the handle, e.g. while exporting images
+   * @returns {Function} Shows it again
+   */
+  suspendHandle() {
+    const visible = this.transformControls.visible;
+    this.transformControls.visible = false;
+    return () => {
+      this.transformControls.visible = visible;
+    };
+  }
+
+  /**
+   * Move the world-space planes, caps and stencil meshes along with the
+   * product (called in animation loop)
+   */
+  update() {
+    if (this.sections.length === 0) return;
+
+    this.productGroup.updateWorldMatrix(true, true);
+    const matrix = this.productGroup.matrixWorld;
+
+    this.sections.forEach((section) => {
+      section.plane.copy(section.localPlane).applyMatrix4(matrix);
+
+      const cap = section.cap;
+      cap.visible = this.caps;
+
+      // The cap faces the side that was cut away
+      section.plane.coplanarPoint(cap.position);
+      cap.lookAt(cap.position.clone().sub(section.plane.normal));
+
+      section.stencilMeshes.forEach((stencil) => {
+        const source = stencil.userData.source;
+        stencil.visible = this.caps && this.isShown(source);
+        stencil.matrix.copy(source.matrixWorld);
+        stencil.matrixWorldNeedsUpdate = true;
+      });
+    });
+  }
+
+  /**
+   * @param {THREE.Object3D} object - Object in the product
+   * @returns {boolean} Whether the object and its ancestors are visible
+   */
+  isShown(object) {
+    for (let node = object; node; node = node.parent) {
+      if (!node.visible) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Remove the sections, caps and handle and stop clipping the materials
+   */
+  dispose() {
+    this.clear();
+    this.removeTask();
+
+    this.materials.forEach((material) => {
+      material.clippingPlanes = null;
+      material.clipShadows = false;
+    });
+
+    this.transformControls.detach();
+    this.transformControls.dispose();
+    this.scene.remove(this.transformControls);
+    this.scene.remove(this.capsGroup);
+    this.capGeometry.dispose();
+    this.controls.enabled = true;
+  }
+}
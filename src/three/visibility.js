@@ -0,0 +1,148 @@
+import * as THREE from "three";
+import { setPartMaterial } from "./createProduct.js";
+
+/**
+ * Per-part visibility: hiding, isolating and X-ray ghosting.
+ *
+ * Ghosted parts are drawn with a translucent material, kept as their
+ * `displayMaterial` so picking can tell them apart. Dispatches "change"
+ * whenever the visibility of any part changes.
+ */
+export class VisibilityManager extends THREE.EventDispatcher {
+  /**
+   * @param {Array} productParts - Product parts
+   */
+  constructor(productParts) {
+    super();
+
+    this.productParts = productParts;
+    this.hidden = new Set();
+    this.isolatedPart = null;
+    this.isolateMode = "ghost";
+    this.xRay = false;
+    this.selectedPart = null;
+
+    this.ghostMaterial = new THREE.MeshStandardMaterial({
+      color: 0x93c5fd,
+      roughness: 0.5,
+      metalness: 0,
+      transparent: true,
+      opacity: 0.15,
+      depthWrite: false,
+    });
+  }
+
+  /**
+   * @param {Object} part - Product part to hide
+   */
+  hide(part) {
+    this.hidden.add(part);
+    if (this.isolatedPart === part) this.isolatedPart = null;
+    this.apply();
+  }
+
+  /**
+   * @param {Object} part - Product part to show again
+   */
+  show(part) {
+    this.hidden.delete(part);
+    this.apply();
+  }
+
+  /**
+   * Show only one part, hiding or ghosting the others
+   * @param {Object} part - Product part to isolate
+   * @param {string} [mode=this.isolateMode] - "ghost" or "hide"
+   */
+  isolate(part, mode = this.isolateMode) {
+    this.hidden.delete(part);
+    this.isolatedPart = part;
+    this.isolateMode = mode;
+    this.apply();
+  }
+
+  /**
+   * Render every part except the selected one semi-transparent
+   * @param {boolean} enabled
+   */
+  setXRay(enabled) {
+    this.xRay = enabled;
+    this.apply();
+  }
+
+  /**
+   * The selected part stays solid in X-ray mode
+   * @param {Object|null} part - Selected product part
+   */
+  setSelectedPart(part) {
+    this.selectedPart = part;
+    if (this.xRay) this.apply();
+  }
+
+  /**
+   * Undo hiding, isolation and X-ray mode
+   */
+  showAll() {
+    this.hidden.clear();
+    this.isolatedPart = null;
+    this.xRay = false;
+    this.apply();
+  }
+
+  /**
+   * @param {Object} part - Product part
+   * @returns {boolean} Whether the part is drawn translucent
+   */
+  isGhosted(part) {
+    return part.displayMaterial === this.ghostMaterial;
+  }
+
+  /**
+   * @returns {boolean} Whether any part is hidden, isolated or ghosted
+   */
+  isModified() {
+    return this.hidden.size > 0 || this.isolatedPart !== null || this.xRay;
+  }
+
+  /**
+   * @returns {string[]} Ids of the parts that are not drawn
+   */
+  getHiddenPartIds() {
+    return this.productParts
+      .filter((part) => !part.mesh.visible)
+      .map((part) => part.id);
+  }
+
+  /**
+   * Update every part's visibility and material from the current state
+   */
+  apply() {
+    const isolated = this.isolatedPart;
+
+    this.productParts.forEach((part) => {
+      const others = isolated !== null && part !== isolated;
+      const visible =
+        !this.hidden.has(part) && !(others && this.isolateMode === "hide");
+      const ghosted =
+        visible &&
+        ((others && this.isolateMode === "ghost") ||
+          (this.xRay && part !== this.selectedPart));
+
+      const displayMaterial = ghosted ? this.ghostMaterial : null;
+      setPartMaterial(part, displayMaterial);
+
+      part.displayMaterial = displayMaterial;
+      part.mesh.visible = visible;
+    });
+
+    this.dispatchEvent({ type: "change" });
+  }
+
+  /**
+   * Show every part with its own material and free the ghost material
+   */
+  dispose() {
+    this.showAll();
+    this.ghostMaterial.dispose();
+  }
+}
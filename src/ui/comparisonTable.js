@@ -0,0 +1,98 @@
+/**
+ * Table of the compared products' parts, shown beneath the split screen: one
+ * row per part with its category and the finish on each side. Rows whose
+ * finishes differ are marked.
+ */
+export class ComparisonTable {
+  /**
+   * @param {HTMLElement} container - Element the table is rendered into
+   */
+  constructor(container) {
+    this.container = container;
+  }
+
+  /**
+   * Rebuild the table
+   * @param {Array} sides - Left and right `{title, parts, configurator}`
+   */
+  render(sides) {
+    this.container.innerHTML = "";
+    this.container.style.display = "block";
+
+    const table = document.createElement("table");
+    table.className = "comparison-table";
+
+    const caption = document.createElement("caption");
+    caption.className = "font-bold text-blue-400";
+    caption.textContent = "Comparison";
+    table.appendChild(caption);
+
+    const headRow = table.createTHead().insertRow();
+    ["Part", "Category", ...sides.map((side) => side.title)].forEach(
+      (title) => {
+        const cell = document.createElement("th");
+        cell.scope = "col";
+        cell.textContent = title;
+        headRow.appendChild(cell);
+      }
+    );
+
+    const body = table.createTBody();
+    this.getPartIds(sides).forEach((partId) => {
+      const parts = sides.map((side) =>
+        side.parts.find((part) => part.id === partId)
+      );
+      const known = parts.find(Boolean);
+      const finishes = sides.map((side, index) =>
+        this.describeFinish(parts[index], side.configurator)
+      );
+
+      const row = body.insertRow();
+      row.classList.toggle("differs", finishes[0] !== finishes[1]);
+
+      const name = document.createElement("th");
+      name.scope = "row";
+      name.textContent = known.name;
+      row.appendChild(name);
+
+      [known.category || "—", ...finishes].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+    });
+
+    this.container.appendChild(table);
+  }
+
+  /**
+   * @param {Array} sides - Compared sides
+   * @returns {string[]} Ids of every part on either side, left side first
+   */
+  getPartIds(sides) {
+    const ids = new Set();
+    sides.forEach((side) => {
+      side.parts.forEach((part) => ids.add(part.id));
+    });
+    return [...ids];
+  }
+
+  /**
+   * @param {Object|undefined} part - Product part, missing on this side
+   * @param {ProductConfigurator} configurator - Configurator of the side
+   * @returns {string} Name of the part's selected variant or material
+   */
+  describeFinish(part, configurator) {
+    if (!part) return "—";
+
+    const variant = configurator.getPartVariant(part);
+    if (variant) return variant.name;
+    return part.material.name || "—";
+  }
+
+  /**
+   * Remove the table
+   */
+  hide() {
+    this.container.innerHTML = "";
+    this.container.style.display = "none";
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Swatch panel that lets customers switch material variants live
+ */
+export class ConfiguratorPanel {
+  /**
+   * @param {HTMLElement} container - Element the swatches are rendered into
+   */
+  constructor(container) {
+    this.container = container;
+    this.configurator = null;
+    this.title = null;
+    this.handleChange = this.update.bind(this);
+  }
+
+  /**
+   * Show the variant groups of a (new) configurator
+   * @param {ProductConfigurator} configurator - Configurator of the current product
+   * @param {string} [title] - Heading above the swatches, e.g. to tell the
+   * sides of a comparison apart
+   */
+  setConfigurator(configurator, title = null) {
+    if (this.configurator) {
+      this.configurator.removeEventListener("change", this.handleChange);
+    }
+
+    this.configurator = configurator;
+    this.title = title;
+    this.configurator.addEventListener("change", this.handleChange);
+    this.render();
+  }
+
+  /**
+   * Rebuild the swatches for every variant group
+   */
+  render() {
+    const groups = this.configurator.getGroups();
+    this.container.innerHTML = "";
+    this.container.style.display = groups.length > 0 ? "block" : "none";
+
+    if (this.title) {
+      const title = document.createElement("h4");
+      title.className = "font-bold mb-2 text-blue-400";
+      title.textContent = this.title;
+      this.container.appendChild(title);
+    }
+
+    groups.forEach((group) => {
+      const section = document.createElement("div");
+      section.className = "configurator-group";
+      section.dataset.groupId = group.id;
+
+      const heading = document.createElement("h4");
+      heading.className = "text-sm font-bold mb-2";
+      heading.textContent = group.name;
+
+      const swatches = document.createElement("div");
+      swatches.className = "flex gap-2";
+
+      group.variants.forEach((variant) => {
+        const swatch = document.createElement("button");
+        swatch.className = "swatch";
+        swatch.dataset.variantId = variant.id;
+        swatch.style.backgroundColor = variant.color;
+        swatch.title = variant.finish
+          ? `${variant.name} (${variant.finish})`
+          : variant.name;
+        swatch.setAttribute("aria-label", `${group.name}: ${variant.name}`);
+        swatch.addEventListener("click", () => {
+          this.configurator.setVariant(group.id, variant.id);
+        });
+        swatches.appendChild(swatch);
+      });
+
+      const label = document.createElement("p");
+      label.className = "swatch-label text-gray-300";
+
+      section.append(heading, swatches, label);
+      this.container.appendChild(section);
+    });
+
+    this.update();
+  }
+
+  /**
+   * Reflect the selected variants in the swatches
+   */
+  update() {
+    this.configurator.getGroups().forEach((group) => {
+      const section = this.container.querySelector(
+        `[data-group-id="${group.id}"]`
+      );
+      if (!section) return;
+
+      section.querySelectorAll(".swatch").forEach((swatch) => {
+        const selected = swatch.dataset.variantId === group.variantId;
+        swatch.classList.toggle("selected", selected);
+        swatch.setAttribute("aria-pressed", String(selected));
+      });
+
+      const variant = group.variants.find((v) => v.id === group.variantId);
+      section.querySelector(".swatch-label").textContent = variant
+        ? variant.name
+        : "";
+    });
+  }
+
+  /**
+   * Stop following the configurator and remove the swatches
+   */
+  dispose() {
+    if (this.configurator) {
+      this.configurator.removeEventListener("change", this.handleChange);
+      this.configurator = null;
+    }
+    this.container.innerHTML = "";
+    this.container.style.display = "none";
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Collapsible outline of the product's parts, grouped by category.
+ *
+ * Selection and hover are shared with the canvas through the interaction
+ * manager: picking a row selects the part, hovering a row highlights its mesh,
+ * and canvas selection and hover are reflected in the list.
+ */
+export class PartsPanel {
+  /**
+   * @param {HTMLElement} container - Element the panel is rendered into
+   * @param {InteractionManager} interactionManager - Shared selection state
+   */
+  constructor(container, interactionManager) {
+    this.container = container;
+    this.interactionManager = interactionManager;
+    this.parts = [];
+    this.categories = [];
+    this.rows = new Map();
+    this.query = "";
+
+    this.renderShell();
+
+    this.handleSelect = ({ part }) => {
+      this.update();
+      if (part) this.scrollToPart(part);
+    };
+    this.handleHoverChange = () => this.update();
+    this.interactionManager.addEventListener("select", this.handleSelect);
+    this.interactionManager.addEventListener("hover", this.handleHoverChange);
+  }
+
+  /**
+   * Create the heading with the collapse toggle, the search field and the
+   * list container
+   */
+  renderShell() {
+    const heading = document.createElement("h4");
+    heading.className = "font-bold text-blue-400";
+
+    this.toggle = document.createElement("button");
+    this.toggle.className = "parts-panel-toggle";
+    this.toggle.textContent = "Parts";
+    this.toggle.setAttribute("aria-expanded", "true");
+    this.toggle.addEventListener("click", () => {
+      this.setCollapsed(this.toggle.getAttribute("aria-expanded") === "true");
+    });
+    heading.appendChild(this.toggle);
+
+    this.body = document.createElement("div");
+    this.body.className = "parts-panel-body";
+    this.body.id = `${this.container.id || "parts-panel"}-body`;
+    this.toggle.setAttribute("aria-controls", this.body.id);
+
+    this.search = document.createElement("input");
+    this.search.type = "search";
+    this.search.className = "tool-select parts-search";
+    this.search.placeholder = "Search parts";
+    this.search.setAttribute("aria-label", "Search parts");
+    this.search.addEventListener("input", () => {
+      this.query = this.search.value.trim().toLowerCase();
+      this.applyFilter();
+    });
+
+    this.list = document.createElement("div");
+    this.list.className = "parts-list";
+
+    this.emptyMessage = document.createElement("p");
+    this.emptyMessage.className = "text-sm text-gray-300";
+    this.emptyMessage.textContent = "No parts match the search.";
+    this.emptyMessage.hidden = true;
+
+    this.body.append(this.search, this.list, this.emptyMessage);
+    this.container.append(heading, this.body);
+  }
+
+  /**
+   * Show the parts of a (new) product
+   * @param {Array} productParts - Product parts
+   * @param {string[]} [categories] - Category order from the manifest; other
+   * categories follow in the order their parts appear
+   */
+  setParts(productParts, categories = []) {
+    this.parts = productParts;
+    this.categories = categories;
+    this.render();
+  }
+
+  /**
+   * Rebuild the category sections and part rows
+   */
+  render() {
+    this.list.innerHTML = "";
+    this.rows.clear();
+
+    const groups = new Map(this.categories.map((category) => [category, []]));
+    this.parts.forEach((part) => {
+      const category = part.category || "Other";
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(part);
+    });
+
+    groups.forEach((parts, category) => {
+      if (parts.length === 0) return;
+
+      const section = document.createElement("details");
+      section.className = "parts-category";
+      section.open = true;
+
+      const summary = document.createElement("summary");
+      summary.className = "text-sm font-bold";
+      summary.textContent = category;
+
+      const rows = document.createElement("div");
+      parts.forEach((part) => {
+        const row = this.createRow(part);
+        this.rows.set(part, row);
+        rows.appendChild(row);
+      });
+
+      section.append(summary, rows);
+      this.list.appendChild(section);
+    });
+
+    this.applyFilter();
+    this.update();
+  }
+
+  /**
+   * @param {Object} part - Product part
+   * @returns {HTMLButtonElement} Row selecting the part
+   */
+  createRow(part) {
+    const row = document.createElement("button");
+    row.className = "part-row";
+    row.textContent = part.name;
+    row.dataset.partId = part.id;
+
+    row.addEventListener("click", () => {
+      this.interactionManager.handleSelection(part);
+    });
+
+    // Pointer and keyboard focus both preview the part in the scene
+    const preview = () => {
+      if (part.mesh.visible) this.interactionManager.handleHover(part);
+    };
+    const endPreview = () => {
+      if (this.interactionManager.hoveredPart === part) {
+        this.interactionManager.clearHover();
+      }
+    };
+    row.addEventListener("mouseenter", preview);
+    row.addEventListener("mouseleave", endPreview);
+    row.addEventListener("focus", preview);
+    row.addEventListener("blur", endPreview);
+
+    return row;
+  }
+
+  /**
+   * Show only rows matching the search, and only categories with matches
+   */
+  applyFilter() {
+    let matches = 0;
+
+    this.rows.forEach((row, part) => {
+      const text = `${part.name} ${part.category || ""}`.toLowerCase();
+      row.hidden = this.query !== "" && !text.includes(this.query);
+      if (!row.hidden) matches++;
+    });
+
+    this.list.querySelectorAll(".parts-category").forEach((section) => {
+      section.hidden = !section.querySelector(".part-row:not([hidden])");
+    });
+
+    this.emptyMessage.hidden = matches > 0 || this.rows.size === 0;
+  }
+
+  /**
+   * Reflect selection, hover and visibility in the rows
+   */
+  update() {
+    const { selectedPart, hoveredPart } = this.interactionManager;
+
+    this.rows.forEach((row, part) => {
+      const selected = part === selectedPart;
+      row.classList.toggle("selected", selected);
+      row.classList.toggle("hovered", part === hoveredPart);
+      row.classList.toggle("hidden-part", !part.mesh.visible);
+      if (selected) {
+        row.setAttribute("aria-current", "true");
+      } else {
+        row.removeAttribute("aria-current");
+      }
+    });
+  }
+
+  /**
+   * @param {boolean} collapsed - Whether to show only the heading
+   */
+  setCollapsed(collapsed) {
+    this.toggle.setAttribute("aria-expanded", String(!collapsed));
+    this.body.hidden = collapsed;
+  }
+
+  /**
+   * Bring a part's row into view, e.g. after it was picked in the canvas
+   * @param {Object} part - Product part
+   */
+  scrollToPart(part) {
+    const row = this.rows.get(part);
+    if (!row || this.body.hidden) return;
+
+    const section = row.closest("details");
+    if (section) section.open = true;
+    row.scrollIntoView({ block: "nearest" });
+  }
+
+  /**
+   * Stop following the interaction manager and remove the panel's content
+   */
+  dispose() {
+    this.interactionManager.removeEventListener("select", this.handleSelect);
+    this.interactionManager.removeEventListener(
+      "hover",
+      this.handleHoverChange
+    );
+    this.rows.clear();
+    this.container.innerHTML = "";
+  }
+}
@@ -0,0 +1,154 @@
+// Movement (px) after which a press counts as a drag, per pointer type
+const DRAG_THRESHOLD = { mouse: 5, pen: 8, touch: 12 };
+
+// How long (ms) a touch or pen has to rest for a long press
+const LONG_PRESS_DELAY = 500;
+
+/**
+ * Turns pointer events on an element into taps, long presses and hovers.
+ *
+ * Presses that move past the drag threshold, and every press of a multi-touch
+ * gesture, are left to OrbitControls and never count as taps. Hover is only
+ * reported for pointers that can hover without pressing, so touch input never
+ * triggers hover effects.
+ */
+export class PointerGestures {
+  /**
+   * @param {HTMLElement} element - Element to listen on
+   * @param {Object} handlers
+   * @param {Function} [handlers.onTap] - Called with the pointerup event
+   * @param {Function} [handlers.onLongPress] - Called with the pointerdown event
+   * @param {Function} [handlers.onHover] - Called with pointermove events
+   * @param {Function} [handlers.onHoverEnd] - Called when the pointer leaves
+   */
+  constructor(element, handlers) {
+    this.element = element;
+    this.handlers = handlers;
+
+    // Pressed pointers by id; a gesture ends when the last one is released
+    this.pointers = new Map();
+    this.multiTouch = false;
+    this.longPressTimeout = null;
+
+    this.onPointerDown = this.handlePointerDown.bind(this);
+    this.onPointerMove = this.handlePointerMove.bind(this);
+    this.onPointerUp = this.handlePointerUp.bind(this);
+    this.onPointerCancel = this.handlePointerCancel.bind(this);
+    this.onPointerLeave = this.handlePointerLeave.bind(this);
+
+    element.addEventListener("pointerdown", this.onPointerDown);
+    element.addEventListener("pointermove", this.onPointerMove);
+    element.addEventListener("pointerup", this.onPointerUp);
+    element.addEventListener("pointercancel", this.onPointerCancel);
+    element.addEventListener("pointerleave", this.onPointerLeave);
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  handlePointerDown(event) {
+    this.pointers.set(event.pointerId, {
+      x: event.clientX,
+      y: event.clientY,
+      threshold: DRAG_THRESHOLD[event.pointerType] ?? DRAG_THRESHOLD.mouse,
+      dragged: false,
+      longPressed: false,
+    });
+
+    if (this.pointers.size > 1) {
+      // Pinch or two-finger pan: nothing in this gesture is a tap
+      this.multiTouch = true;
+      this.cancelLongPress();
+      return;
+    }
+
+    if (event.pointerType !== "mouse" && this.handlers.onLongPress) {
+      const pointer = this.pointers.get(event.pointerId);
+      this.longPressTimeout = setTimeout(() => {
+        this.longPressTimeout = null;
+        pointer.longPressed = true;
+        this.handlers.onLongPress(event);
+      }, LONG_PRESS_DELAY);
+    }
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  handlePointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+
+    if (pointer) {
+      const distance = Math.hypot(
+        event.clientX - pointer.x,
+        event.clientY - pointer.y
+      );
+      if (!pointer.dragged && distance > pointer.threshold) {
+        pointer.dragged = true;
+        this.cancelLongPress();
+      }
+      return;
+    }
+
+    if (event.pointerType !== "touch" && this.handlers.onHover) {
+      this.handlers.onHover(event);
+    }
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  handlePointerUp(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+
+    this.cancelLongPress();
+    this.pointers.delete(event.pointerId);
+
+    const isTap = !this.multiTouch && !pointer.dragged && !pointer.longPressed;
+    if (this.pointers.size === 0) this.multiTouch = false;
+
+    if (isTap && event.button <= 0 && this.handlers.onTap) {
+      this.handlers.onTap(event);
+    }
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  handlePointerCancel(event) {
+    this.cancelLongPress();
+    this.pointers.delete(event.pointerId);
+    if (this.pointers.size === 0) this.multiTouch = false;
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  handlePointerLeave(event) {
+    if (event.pointerType !== "touch" && this.handlers.onHoverEnd) {
+      this.handlers.onHoverEnd(event);
+    }
+  }
+
+  /**
+   * Stop a pending long press
+   */
+  cancelLongPress() {
+    clearTimeout(this.longPressTimeout);
+    this.longPressTimeout = null;
+  }
+
+  /**
+   * Stop listening
+   */
+  dispose() {
+    this.cancelLongPress();
+    this.element.removeEventListener("pointerdown", this.onPointerDown);
+    this.element.removeEventListener("pointermove", this.onPointerMove);
+    this.element.removeEventListener("pointerup", this.onPointerUp);
+    this.element.removeEventListener("pointercancel", this.onPointerCancel);
+    this.element.removeEventListener("pointerleave", this.onPointerLeave);
+    this.pointers.clear();
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * postMessage bridge that lets the page embedding the viewer in an iframe
+ * drive it.
+ *
+ * Every message carries `protocol: "product-viewer"` and `version: 1`.
+ * Requests from the parent name a viewer API method:
+ * `{protocol, version, requestId, method: "selectPart", params: ["seat"]}`
+ * and are answered with `{protocol, version, requestId, result}` or
+ * `{protocol, version, requestId, error: {message}}`. Viewer events are posted
+ * as `{protocol, version, event: "select", data}`.
+ *
+ * Messages from origins outside the allow-list, or from other windows than the
+ * parent, are ignored; events are only posted to allowed origins.
+ */
+
+export const PROTOCOL = "product-viewer";
+export const PROTOCOL_VERSION = 1;
+
+// Viewer methods the parent may call
+const METHODS = [
+  "selectPart",
+  "clearSelection",
+  "setAutoRotate",
+  "resetView",
+  "getState",
+  "setQuality",
+  "setRenderMode",
+  "setHighlightStyle",
+  "setEffects",
+  "addSection",
+  "removeSection",
+  "clearSections",
+  "setSectionCaps",
+  "exportModel",
+  "startComparison",
+  "endComparison",
+  "setComparisonConfiguration",
+  "setCamerasLocked",
+];
+
+// Viewer events forwarded to the parent
+const EVENTS = ["ready", "select", "hover", "error"];
+
+export class MessageBridge {
+  /**
+   * @param {ProductViewer} viewer - Viewer to expose
+   * @param {Object} options
+   * @param {Window} options.target - Window to talk to, usually `window.parent`
+   * @param {string[]} options.allowedOrigins - Origins allowed to send
+   * requests and receive events, e.g. "https://store.example.com"
+   */
+  constructor(viewer, { target, allowedOrigins }) {
+    this.viewer = viewer;
+    this.target = target;
+    this.allowedOrigins = allowedOrigins;
+
+    this.onMessage = this.handleMessage.bind(this);
+    window.addEventListener("message", this.onMessage);
+
+    this.unsubscribers = EVENTS.map((type) =>
+      viewer.on(type, (data) => this.post({ event: type, data }))
+    );
+  }
+
+  /**
+   * Answer a request from the parent once the viewer is ready
+   * @param {MessageEvent} event - Message event
+   */
+  async handleMessage(event) {
+    const message = event.data;
+    if (
+      event.source !== this.target ||
+      !this.allowedOrigins.includes(event.origin) ||
+      !message ||
+      message.protocol !== PROTOCOL
+    ) {
+      return;
+    }
+
+    const reply = (body) => {
+      event.source.postMessage(
+        {
+          protocol: PROTOCOL,
+          version: PROTOCOL_VERSION,
+          requestId: message.requestId,
+          ...body,
+        },
+        event.origin
+      );
+    };
+
+    if (message.version !== PROTOCOL_VERSION) {
+      reply({
+        error: { message: `Unsupported version ${message.version}` },
+      });
+      return;
+    }
+    if (!METHODS.includes(message.method)) {
+      reply({ error: { message: `Unknown method "${message.method}"` } });
+      return;
+    }
+
+    await this.viewer.ready;
+    try {
+      const params = Array.isArray(message.params) ? message.params : [];
+      const result = await this.viewer[message.method](...params);
+      reply({ result: result === undefined ? null : result });
+    } catch (error) {
+      reply({ error: { message: error.message } });
+    }
+  }
+
+  /**
+   * Post a message to every allowed origin; the browser drops the copies
+   * whose origin doesn't match the parent
+   * @param {Object} body - Message fields besides protocol and version
+   */
+  post(body) {
+    const message = { protocol: PROTOCOL, version: PROTOCOL_VERSION, ...body };
+    this.allowedOrigins.forEach((origin) => {
+      this.target.postMessage(message, origin);
+    });
+  }
+
+  /**
+   * Stop listening and forwarding events
+   */
+  dispose() {
+    window.removeEventListener("message", this.onMessage);
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
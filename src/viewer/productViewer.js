@@ -0,0 +1,2209 @@
+import * as THREE from "three";
+import { initScene, disposeScene } from "../three/initScene.js";
+import { AnimationScheduler } from "../three/animationScheduler.js";
+import { loadProduct, removeProducts } from "../three/loadProduct.js";
+import { addIdleMotion } from "../three/createProduct.js";
+import { addLighting, LIGHTING_PRESETS } from "../three/addLighting.js";
+import { InteractionManager } from "../three/interaction.js";
+import { PartHighlights } from "../three/partHighlights.js";
+import {
+  ANTIALIASING_MODES,
+  EffectsStack,
+  TONE_MAPPINGS,
+} from "../three/effectsStack.js";
+import { CameraAnimator } from "../three/cameraAnimation.js";
+import { ProductConfigurator } from "../three/configurator.js";
+import { ExplodedView } from "../three/explodedView.js";
+import {
+  DimensionsOverlay,
+  MeasureTool,
+  computeLocalBounds,
+} from "../three/measurements.js";
+import { HotspotManager } from "../three/hotspots.js";
+import { VisibilityManager } from "../three/visibility.js";
+import { SectionTool } from "../three/sectionTool.js";
+import { ComparisonView } from "../three/comparisonView.js";
+import {
+  ImageExporter,
+  downloadCanvas,
+  downloadBlob,
+} from "../three/imageExport.js";
+import {
+  MODEL_FORMATS,
+  createExportCopy,
+  exportModel,
+  verifyModel,
+} from "../three/modelExport.js";
+import { RenderPipeline } from "../three/renderPipeline.js";
+import { QualityGovernor, QUALITY_TIERS } from "../three/qualityGovernor.js";
+import { ConfiguratorPanel } from "../ui/configuratorPanel.js";
+import { PointerGestures } from "../ui/pointerGestures.js";
+import { PartsPanel } from "../ui/partsPanel.js";
+import { ComparisonTable } from "../ui/comparisonTable.js";
+import { encodeViewerState, decodeViewerState } from "../deepLink.js";
+import chairManifest from "../products/chair.json";
+
+// Delay before interaction is written to the URL
+const URL_UPDATE_DELAY = 500;
+
+// DOM event behind each event name of `on()`
+const API_EVENTS = {
+  select: "part-select",
+  hover: "part-hover",
+  ready: "viewer-ready",
+  error: "viewer-error",
+};
+
+/**
+ * The product viewer with its controls.
+ *
+ * Every element is looked up by id in `root`, so one viewer can own a whole
+ * page (`document`) and others can live in the shadow roots of
+ * `<product-viewer>` elements on the same page. Controls missing from the root
+ * are skipped. DOM events ("viewer-ready", "product-load", "part-select",
+ * "part-hover", "viewer-error") are dispatched on the shadow host, or on the
+ * document for a full-page viewer.
+ */
+export class ProductViewer {
+  /**
+   * @param {Document|ShadowRoot} root - Root holding the canvas and controls
+   * @param {Object} [options]
+   * @param {string|null} [options.src=null] - Product to show first; null
+   * shows the demo chair
+   * @param {boolean} [options.autoRotate=true] - Start orbiting the product
+   * @param {string} [options.lighting="studio"] - Lighting preset
+   * @param {boolean} [options.urlState=false] - Read the view from the URL
+   * hash and keep the hash up to date
+   * @param {string} [options.quality="auto"] - Quality tier id, or "auto" to
+   * adapt to the frame rate
+   * @param {string} [options.renderMode="continuous"] - "continuous", or
+   * "on-demand" to draw only frames in which something changed
+   * @param {Object} [options.highlight] - Outline styles of the hovered and
+   * the selected part, `{hover, selection}`, see `DEFAULT_HIGHLIGHT_STYLES`
+   * @param {Object} [options.effects] - Post-processing settings, see
+   * `setEffects()`
+   */
+  constructor(
+    root,
+    {
+      src = null,
+      autoRotate = true,
+      lighting = "studio",
+      urlState = false,
+      quality = "auto",
+      renderMode = "continuous",
+      highlight = {},
+      effects = {},
+    } = {}
+  ) {
+    this.root = root;
+    this.eventTarget = root.host || root;
+    this.options = { src, lighting, urlState, quality, highlight, effects };
+    this.renderMode = renderMode;
+    this.needsRender = true;
+    this.renderPipeline = null;
+    this.qualityGovernor = null;
+    this.highlights = null;
+    this.effects = null;
+    this.canvas = null;
+    this.sceneConfig = null;
+    this.scheduler = new AnimationScheduler();
+    this.productGroup = null;
+    this.productParts = [];
+    this.manifest = null;
+    this.productSource = null;
+    this.loadSequence = 0;
+    this.configurator = null;
+    this.configuratorPanel = null;
+    this.comparisonConfiguratorPanel = null;
+    this.partsPanel = null;
+    this.comparisonView = null;
+    this.comparisonTable = null;
+    this.explodedView = null;
+    this.dimensionsOverlay = null;
+    this.measureTool = null;
+    this.hotspotManager = null;
+    this.visibilityManager = null;
+    this.sectionTool = null;
+    this.imageExporter = null;
+    this.lighting = null;
+    this.pointerGestures = null;
+    this.reducedMotion = false;
+    this.autoRotateTimeout = null;
+    this.unit = "cm";
+    this.interactionManager = null;
+    this.cameraAnimator = null;
+    this.isAutoRotating = autoRotate;
+    this.urlUpdateTimeout = null;
+    this.resizeObserver = null;
+    this.abortController = new AbortController();
+    this.animationFrame = null;
+    this.isReady = false;
+    this.destroyed = false;
+
+    // Settles once the viewer is set up, or has failed to
+    this.ready = this.init();
+  }
+
+  async init() {
+    try {
+      // Get canvas element
+      this.canvas = this.root.getElementById("threejs-canvas");
+      if (!this.canvas) {
+        throw new Error("Canvas element not found");
+      }
+
+      // Initialize Three.js scene
+      this.sceneConfig = initScene(this.canvas);
+
+      // Add lighting to the scene
+      this.lighting = addLighting(
+        this.sceneConfig.scene,
+        this.scheduler,
+        this.sceneConfig.renderer
+      );
+
+      // Frame drawing, and the quality tier it is drawn at
+      this.renderPipeline = new RenderPipeline(
+        this.sceneConfig.renderer,
+        this.sceneConfig.scene,
+        this.sceneConfig.camera
+      );
+      this.qualityGovernor = new QualityGovernor(
+        this.sceneConfig.renderer,
+        this.sceneConfig.scene,
+        this.renderPipeline
+      );
+      this.qualityGovernor.apply();
+
+      // Marketing stills rendered off the live view
+      this.imageExporter = new ImageExporter(
+        this.sceneConfig.renderer,
+        this.sceneConfig.scene,
+        this.sceneConfig.camera,
+        this.renderPipeline
+      );
+
+      // Optional post-processing; added first, so outlines are drawn on top
+      this.effects = new EffectsStack(
+        this.sceneConfig.renderer,
+        this.sceneConfig.scene,
+        this.sceneConfig.camera,
+        this.renderPipeline
+      );
+      this.effects.setTier(this.qualityGovernor.getTier());
+
+      // Outlines of the hovered and selected part
+      this.highlights = new PartHighlights(
+        this.sceneConfig.scene,
+        this.sceneConfig.camera,
+        this.scheduler,
+        this.options.highlight
+      );
+      this.highlights
+        .getPasses()
+        .forEach((pass) => this.renderPipeline.addPass(pass));
+
+      // Setup interaction manager
+      this.interactionManager = new InteractionManager(
+        this.sceneConfig.camera,
+        this.productParts,
+        this.handlePartSelect.bind(this),
+        this.highlights
+      );
+
+      // Setup the material swatches
+      const configuratorEl = this.root.getElementById("configurator-panel");
+      if (configuratorEl) {
+        this.configuratorPanel = new ConfiguratorPanel(configuratorEl);
+      }
+      const comparisonConfiguratorEl = this.root.getElementById(
+        "comparison-configurator-panel"
+      );
+      if (comparisonConfiguratorEl) {
+        this.comparisonConfiguratorPanel = new ConfiguratorPanel(
+          comparisonConfiguratorEl
+        );
+      }
+
+      // Setup the parts outline
+      const partsEl = this.root.getElementById("parts-panel");
+      if (partsEl) {
+        this.partsPanel = new PartsPanel(partsEl, this.interactionManager);
+      }
+
+      // Part table of the split-screen comparison
+      const comparisonEl = this.root.getElementById("comparison-panel");
+      if (comparisonEl) {
+        this.comparisonTable = new ComparisonTable(comparisonEl);
+      }
+
+      // Without any product, not even the demo chair, an error is shown
+      await this.loadProduct(this.options.src);
+      if (this.destroyed || !this.productGroup) return;
+
+      // Setup camera animation
+      this.cameraAnimator = new CameraAnimator(
+        this.sceneConfig.camera,
+        this.sceneConfig.controls,
+        this.scheduler
+      );
+
+      // Camera orbit and part animations run on the shared clock
+      this.scheduler.add((delta) => this.cameraAnimator.update(delta));
+      this.scheduler.add((delta) => this.interactionManager.update(delta));
+
+      // Setup event listeners
+      this.setupEventListeners();
+
+      // Initial options, unless a shared link says otherwise
+      this.setLightingPreset(this.options.lighting, 0);
+      this.setQuality(this.options.quality);
+      this.setEffects(this.options.effects);
+      this.setRenderMode(this.renderMode);
+      this.setAutoRotate(this.isAutoRotating);
+
+      // Reopen the view a shared link describes
+      if (this.options.urlState) {
+        this.applyViewerState(decodeViewerState(window.location.hash));
+      }
+
+      // Hold still for visitors who asked their system for less motion
+      if (window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
+        this.setReducedMotion(true);
+      }
+
+      // Start animation loop
+      this.animate();
+
+      // Hide loading screen
+      this.hideLoadingScreen();
+
+      // Show part info panel
+      this.showPartInfoPanel();
+
+      this.isReady = true;
+      this.emit("viewer-ready", {
+        product: this.manifest ? this.manifest.id : null,
+      });
+    } catch (error) {
+      console.error("Failed to initialize 3D viewer:", error);
+      this.showError(error.message);
+      this.emit("viewer-error", { message: error.message });
+    }
+  }
+
+  /**
+   * Tear the viewer down so it can be mounted again, e.g. when a single-page
+   * app leaves the product page: stops the render loop and every animation,
+   * removes all listeners and frees the GPU resources and the WebGL context
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.isReady = false;
+
+    cancelAnimationFrame(this.animationFrame);
+    this.abortController.abort();
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    if (this.pointerGestures) this.pointerGestures.dispose();
+
+    if (this.comparisonView) this.comparisonView.dispose();
+    if (this.sceneConfig) this.disposeProduct();
+    if (this.configurator) this.configurator.dispose();
+    if (this.configuratorPanel) this.configuratorPanel.dispose();
+    if (this.comparisonConfiguratorPanel) {
+      this.comparisonConfiguratorPanel.dispose();
+    }
+    if (this.partsPanel) this.partsPanel.dispose();
+    if (this.interactionManager) this.interactionManager.dispose();
+    if (this.highlights) this.highlights.dispose();
+    if (this.effects) this.effects.dispose();
+    if (this.lighting) this.lighting.dispose();
+    if (this.renderPipeline) this.renderPipeline.dispose();
+
+    // After the disposals above, which may still schedule work
+    this.scheduler.clear();
+    clearTimeout(this.autoRotateTimeout);
+    clearTimeout(this.urlUpdateTimeout);
+    clearTimeout(this.noticeTimeout);
+
+    if (this.sceneConfig) disposeScene(this.sceneConfig);
+  }
+
+  /**
+   * Remove the current product and its tools from the scene and free their
+   * resources
+   */
+  disposeProduct() {
+    if (this.explodedView) {
+      this.explodedView.dispose();
+    }
+    if (this.dimensionsOverlay) {
+      this.dimensionsOverlay.dispose();
+      this.measureTool.dispose();
+    }
+    if (this.hotspotManager) {
+      this.hotspotManager.dispose();
+    }
+    if (this.sectionTool) {
+      this.sectionTool.dispose();
+      this.interactionManager.setClippingPlanes([]);
+    }
+    if (this.visibilityManager) {
+      this.visibilityManager.dispose();
+    }
+    removeProducts(this.sceneConfig.scene);
+  }
+
+  /**
+   * Replace the current product
+   * @param {string|File|Object|null} source - Manifest or glTF/GLB URL, file or
+   * manifest object; null shows the demo chair
+   */
+  async loadProduct(source) {
+    const { scene } = this.sceneConfig;
+
+    // Only the latest of overlapping loads is shown
+    const loadId = ++this.loadSequence;
+    const isStale = () => this.destroyed || loadId !== this.loadSequence;
+
+    if (this.cameraAnimator && this.cameraAnimator.isFocused()) {
+      this.returnToOverview();
+    }
+
+    // Loaded into a scene of its own, so a stale result never reaches the
+    // live scene
+    const staging = new THREE.Scene();
+    let productSource = source || chairManifest;
+    let product;
+    try {
+      product = await loadProduct(staging, productSource);
+    } catch (error) {
+      if (isStale()) return;
+
+      console.error("Failed to load product:", error);
+      this.showNotice(
+        `Could not load the product, showing the demo chair instead.\n${error.message}`
+      );
+      this.emit("viewer-error", { message: error.message });
+      removeProducts(staging);
+      productSource = chairManifest;
+      try {
+        product = await loadProduct(staging, chairManifest);
+      } catch (fallbackError) {
+        if (isStale()) return;
+
+        console.error("Failed to load the demo chair:", fallbackError);
+        removeProducts(staging);
+        this.showError(fallbackError.message);
+        this.emit("viewer-error", { message: fallbackError.message });
+        return;
+      }
+    }
+
+    // Destroyed or replaced by a newer load while loading
+    if (isStale()) {
+      removeProducts(staging);
+      return;
+    }
+
+    // The split screen compares against the product being replaced
+    this.endComparison();
+    this.disposeProduct();
+    this.updateExplodeControls(0);
+    scene.add(product.productGroup);
+    this.productSource = productSource;
+
+    this.productGroup = product.productGroup;
+    this.productParts = product.productParts;
+    this.manifest = product.manifest;
+
+    // Apply the default material variants
+    if (this.configurator) {
+      this.configurator.dispose();
+    }
+    this.configurator = new ProductConfigurator(
+      this.productParts,
+      this.manifest ? this.manifest.variantGroups : []
+    );
+    if (this.configuratorPanel) {
+      this.configuratorPanel.setConfigurator(this.configurator);
+    }
+    this.configurator.addEventListener("change", () => {
+      this.lighting.applyEnvironmentIntensity(this.productGroup);
+      this.updateComparisonTable();
+      this.requestRender();
+      this.scheduleUrlUpdate();
+    });
+    this.lighting.applyEnvironmentIntensity(this.productGroup);
+
+    // Hiding, isolating and X-ray ghosting of parts
+    this.visibilityManager = new VisibilityManager(this.productParts);
+    this.visibilityManager.addEventListener("change", () => {
+      this.updateVisibilityControls();
+      if (this.partsPanel) this.partsPanel.update();
+      this.requestRender();
+      this.scheduleUrlUpdate();
+    });
+
+    // Cross-section cuts, also through ghosted parts
+    const { scene: sceneRoot, camera, controls } = this.sceneConfig;
+    this.sectionTool = new SectionTool(this.productGroup, this.productParts, {
+      scene: sceneRoot,
+      camera,
+      canvas: this.canvas,
+      controls,
+      scheduler: this.scheduler,
+      materials: [this.visibilityManager.ghostMaterial],
+    });
+    this.sectionTool.addEventListener("change", () => {
+      this.updateSectionControls();
+      this.requestRender();
+    });
+    this.interactionManager.setClippingPlanes(this.sectionTool.clippingPlanes);
+    this.updateSectionControls();
+
+    addIdleMotion(this.productGroup, this.scheduler);
+    this.explodedView = new ExplodedView(
+      this.productGroup,
+      this.productParts,
+      this.scheduler
+    );
+
+    // Dimension overlay and measure tool in the product's real-world units
+    const units = this.manifest && this.manifest.units;
+    this.setUnit((units && units.display) || this.unit);
+    const overlayOptions = {
+      metersPerUnit: this.productGroup.userData.metersPerUnit,
+      unit: this.unit,
+    };
+    this.dimensionsOverlay = new DimensionsOverlay(
+      this.productGroup,
+      overlayOptions
+    );
+    this.measureTool = new MeasureTool(this.productGroup, overlayOptions);
+    this.updateToolButtons();
+
+    this.renderBookmarks();
+    this.renderExportViews();
+
+    // Hotspot markers select their part like clicking the mesh does
+    this.hotspotManager = new HotspotManager(
+      this.productParts,
+      this.sceneConfig.camera,
+      (part) => this.interactionManager.handleSelection(part)
+    );
+    this.hotspotManager.setClippingPlanes(this.sectionTool.clippingPlanes);
+
+    this.interactionManager.setProductParts(this.productParts);
+    this.handlePartSelect(null);
+    this.updateComparisonTable();
+    if (this.partsPanel) {
+      this.partsPanel.setParts(
+        this.productParts,
+        this.manifest ? this.manifest.categories : []
+      );
+    }
+
+    // Drop the previous product's parts and configuration from the URL
+    if (this.cameraAnimator) this.scheduleUrlUpdate();
+
+    this.requestRender();
+    this.emit("product-load", {
+      product: this.manifest ? this.manifest.id : null,
+    });
+  }
+
+  /**
+   * Get the selected material variant of every variant group
+   * @returns {Object} Variant ids keyed by group id
+   */
+  getConfiguration() {
+    return this.configurator ? this.configurator.getConfiguration() : {};
+  }
+
+  /**
+   * Select a part and frame it, as clicking it does
+   * @param {string} partId - Part id from the manifest
+   */
+  selectPart(partId) {
+    const part = this.productParts.find((p) => p.id === partId);
+    if (!part) {
+      throw new Error(`Unknown part "${partId}"`);
+    }
+
+    this.interactionManager.handleSelection(part);
+  }
+
+  /**
+   * Deselect the selected part, if any
+   */
+  clearSelection() {
+    this.interactionManager.clearSelection();
+    this.handlePartSelect(null);
+  }
+
+  /**
+   * Describe the viewer for host pages
+   * @returns {Object} Product id, selected part id, auto-rotation, camera
+   * position and target in product space, hidden part ids, material
+   * configuration, lighting preset, quality, render mode, effects, section
+   * cuts and the comparison, if any
+   */
+  getState() {
+    const { position, target } = this.cameraAnimator.getState();
+
+    return {
+      ...this.getViewerState(),
+      product: this.manifest ? this.manifest.id : null,
+      camera: this.toProductSpace(position),
+      target: this.toProductSpace(target),
+      lighting: this.lighting.preset,
+      quality: this.qualityGovernor.auto
+        ? "auto"
+        : this.qualityGovernor.getTier().id,
+      qualityTier: this.qualityGovernor.getTier().id,
+      renderMode: this.renderMode,
+      effects: this.getEffects(),
+      sections: this.sectionTool.getSections(),
+      comparison: this.comparisonView ? this.comparisonView.getState() : null,
+    };
+  }
+
+  /**
+   * Subscribe to viewer events. "ready" subscriptions made after the viewer
+   * became ready are called right away.
+   * @param {string} type - "select", "hover", "ready" or "error"
+   * @param {Function} callback - Called with the event detail
+   * @returns {Function} Removes the subscription
+   */
+  on(type, callback) {
+    const eventType = API_EVENTS[type];
+    if (!eventType) {
+      throw new Error(`Unknown viewer event "${type}"`);
+    }
+
+    // Events of embedded viewers also bubble up to the document
+    const listener = (event) => {
+      if (event.target === this.eventTarget) callback(event.detail);
+    };
+    this.eventTarget.addEventListener(eventType, listener, {
+      signal: this.abortController.signal,
+    });
+
+    if (type === "ready" && this.isReady) {
+      queueMicrotask(() =>
+        callback({ product: this.manifest ? this.manifest.id : null })
+      );
+    }
+
+    return () => this.eventTarget.removeEventListener(eventType, listener);
+  }
+
+  setupEventListeners() {
+    // Every DOM listener goes away with `destroy()`
+    const { signal } = this.abortController;
+
+    // Follow the size of the canvas' container rather than the window, so
+    // embedded viewers resize with their layout
+    this.resizeObserver = new ResizeObserver(this.handleResize.bind(this));
+    this.resizeObserver.observe(this.canvas.parentElement);
+
+    // Pointer interactions; drags and multi-touch gestures stay with the
+    // orbit controls
+    this.pointerGestures = new PointerGestures(this.canvas, {
+      onHover: (event) => {
+        this.interactionManager.handlePointerMove(event, this.canvas);
+      },
+      onHoverEnd: () => {
+        this.interactionManager.handlePointerLeave(this.canvas);
+      },
+      onTap: this.handleTap.bind(this),
+      onLongPress: (event) => {
+        this.interactionManager.handleLongPress(event, this.canvas);
+      },
+    });
+
+    // Frame the part whenever one gets selected
+    this.interactionManager.addEventListener("select", ({ part }) => {
+      if (part) this.focusOnPart(part);
+      this.visibilityManager.setSelectedPart(part);
+      this.updateVisibilityControls();
+      this.scheduleUrlUpdate();
+      this.requestRender();
+      this.emit("part-select", { part: describePart(part) });
+    });
+    this.interactionManager.addEventListener("hover", ({ part }) => {
+      this.requestRender();
+      this.emit("part-hover", { part: describePart(part) });
+    });
+
+    // Controls act within the same task, so drawing the next frame after any
+    // input shows their effect in on-demand mode
+    ["click", "input", "change", "keydown", "pointerdown", "pointerup"].forEach(
+      (type) => {
+        this.root.addEventListener(type, () => this.requestRender(), {
+          signal,
+        });
+      }
+    );
+
+    // Control buttons
+    const autoRotateBtn = this.root.getElementById("auto-rotate-btn");
+    const resetBtn = this.root.getElementById("reset-btn");
+
+    if (autoRotateBtn) {
+      autoRotateBtn.addEventListener(
+        "click",
+        this.toggleAutoRotate.bind(this),
+        { signal }
+      );
+    }
+
+    if (resetBtn) {
+      resetBtn.addEventListener("click", this.resetView.bind(this), { signal });
+    }
+
+    const overviewBtn = this.root.getElementById("overview-btn");
+    if (overviewBtn) {
+      overviewBtn.addEventListener("click", this.returnToOverview.bind(this), {
+        signal,
+      });
+    }
+
+    // Exploded view
+    const explodeBtn = this.root.getElementById("explode-btn");
+    const explodeSlider = this.root.getElementById("explode-slider");
+
+    if (explodeBtn) {
+      explodeBtn.addEventListener("click", this.toggleExplode.bind(this), {
+        signal,
+      });
+    }
+
+    if (explodeSlider) {
+      explodeSlider.addEventListener(
+        "input",
+        () => {
+          this.explodedView.stopAnimation();
+          this.explodedView.setAmount(explodeSlider.value / 100);
+          this.updateExplodeControls(this.explodedView.amount);
+        },
+        { signal }
+      );
+    }
+
+    // Dimensions and measuring
+    const dimensionsBtn = this.root.getElementById("dimensions-btn");
+    const measureBtn = this.root.getElementById("measure-btn");
+    const unitSelect = this.root.getElementById("unit-select");
+
+    if (dimensionsBtn) {
+      dimensionsBtn.addEventListener(
+        "click",
+        () => {
+          this.dimensionsOverlay.setVisible(!this.dimensionsOverlay.visible);
+          this.updateToolButtons();
+        },
+        { signal }
+      );
+    }
+
+    if (measureBtn) {
+      measureBtn.addEventListener(
+        "click",
+        () => {
+          this.measureTool.setActive(!this.measureTool.active);
+          this.updateToolButtons();
+        },
+        { signal }
+      );
+    }
+
+    if (unitSelect) {
+      unitSelect.addEventListener(
+        "change",
+        () => {
+          this.setUnit(unitSelect.value);
+        },
+        { signal }
+      );
+    }
+
+    // Part visibility
+    const hidePartBtn = this.root.getElementById("hide-part-btn");
+    const isolatePartBtn = this.root.getElementById("isolate-part-btn");
+    const xRayBtn = this.root.getElementById("xray-btn");
+    const showAllBtn = this.root.getElementById("show-all-btn");
+    const isolateModeSelect = this.root.getElementById("isolate-mode");
+
+    if (hidePartBtn) {
+      hidePartBtn.addEventListener(
+        "click",
+        () => {
+          const part = this.interactionManager.selectedPart;
+          if (!part) return;
+
+          this.interactionManager.clearSelection();
+          this.visibilityManager.hide(part);
+        },
+        { signal }
+      );
+    }
+
+    if (isolatePartBtn) {
+      isolatePartBtn.addEventListener(
+        "click",
+        () => {
+          const part = this.interactionManager.selectedPart;
+          if (!part) return;
+
+          if (this.visibilityManager.isolatedPart === part) {
+            this.visibilityManager.showAll();
+          } else {
+            this.visibilityManager.isolate(part);
+          }
+        },
+        { signal }
+      );
+    }
+
+    if (xRayBtn) {
+      xRayBtn.addEventListener(
+        "click",
+        () => {
+          this.visibilityManager.setXRay(!this.visibilityManager.xRay);
+        },
+        { signal }
+      );
+    }
+
+    if (showAllBtn) {
+      showAllBtn.addEventListener(
+        "click",
+        () => {
+          this.visibilityManager.showAll();
+        },
+        { signal }
+      );
+    }
+
+    if (isolateModeSelect) {
+      isolateModeSelect.addEventListener(
+        "change",
+        () => {
+          const { isolatedPart } = this.visibilityManager;
+          this.visibilityManager.isolateMode = isolateModeSelect.value;
+          if (isolatedPart) this.visibilityManager.isolate(isolatedPart);
+        },
+        { signal }
+      );
+    }
+
+    // Cross-section cuts
+    const sectionAxisSelect = this.root.getElementById("section-axis");
+    const sectionBtn = this.root.getElementById("section-btn");
+    const sectionClearBtn = this.root.getElementById("section-clear-btn");
+    const sectionCapsCheckbox = this.root.getElementById("section-caps");
+
+    if (sectionBtn) {
+      sectionBtn.addEventListener(
+        "click",
+        () => {
+          this.addSection({
+            axis: sectionAxisSelect ? sectionAxisSelect.value : "y",
+          });
+        },
+        { signal }
+      );
+    }
+
+    if (sectionClearBtn) {
+      sectionClearBtn.addEventListener(
+        "click",
+        () => {
+          this.clearSections();
+        },
+        { signal }
+      );
+    }
+
+    if (sectionCapsCheckbox) {
+      sectionCapsCheckbox.addEventListener(
+        "change",
+        () => {
+          this.setSectionCaps(sectionCapsCheckbox.checked);
+        },
+        { signal }
+      );
+    }
+
+    // Split-screen comparison
+    const compareBtn = this.root.getElementById("compare-btn");
+    const compareLockCheckbox = this.root.getElementById("compare-lock");
+
+    if (compareBtn) {
+      compareBtn.addEventListener(
+        "click",
+        async () => {
+          if (this.comparisonView) {
+            this.endComparison();
+            return;
+          }
+
+          compareBtn.disabled = true;
+          try {
+            await this.startComparison();
+          } catch (error) {
+            console.error("Failed to start the comparison:", error);
+            this.showNotice(`Could not compare.\n${error.message}`);
+          } finally {
+            compareBtn.disabled = false;
+          }
+        },
+        { signal }
+      );
+    }
+
+    if (compareLockCheckbox) {
+      compareLockCheckbox.addEventListener(
+        "change",
+        () => {
+          if (this.comparisonView) {
+            this.setCamerasLocked(compareLockCheckbox.checked);
+          }
+        },
+        { signal }
+      );
+    }
+
+    // Quality tier and render mode
+    const qualitySelect = this.root.getElementById("quality-select");
+    const renderModeSelect = this.root.getElementById("render-mode");
+
+    if (qualitySelect) {
+      qualitySelect.add(new Option("Auto", "auto"));
+      QUALITY_TIERS.forEach(({ id, name }) => {
+        qualitySelect.add(new Option(name, id));
+      });
+      qualitySelect.addEventListener(
+        "change",
+        () => {
+          this.setQuality(qualitySelect.value);
+        },
+        { signal }
+      );
+    }
+
+    if (renderModeSelect) {
+      renderModeSelect.addEventListener(
+        "change",
+        () => {
+          this.setRenderMode(renderModeSelect.value);
+        },
+        { signal }
+      );
+    }
+
+    this.qualityGovernor.addEventListener("change", () => {
+      this.effects.setTier(this.qualityGovernor.getTier());
+      this.updateQualityControls();
+      this.requestRender();
+    });
+    this.updateQualityControls();
+
+    // Post-processing effects
+    const aoCheckbox = this.root.getElementById("effect-ao");
+    const bloomCheckbox = this.root.getElementById("effect-bloom");
+    const antialiasingSelect = this.root.getElementById("effect-antialiasing");
+    const toneMappingSelect = this.root.getElementById("tone-mapping");
+    const exposureSlider = this.root.getElementById("exposure-slider");
+
+    if (aoCheckbox) {
+      aoCheckbox.addEventListener(
+        "change",
+        () => {
+          this.setEffects({ ambientOcclusion: aoCheckbox.checked });
+        },
+        { signal }
+      );
+    }
+
+    if (bloomCheckbox) {
+      bloomCheckbox.addEventListener(
+        "change",
+        () => {
+          this.setEffects({ bloom: bloomCheckbox.checked });
+        },
+        { signal }
+      );
+    }
+
+    if (antialiasingSelect) {
+      Object.entries(ANTIALIASING_MODES).forEach(([id, name]) => {
+        antialiasingSelect.add(new Option(name, id));
+      });
+      antialiasingSelect.addEventListener(
+        "change",
+        () => {
+          this.setEffects({ antialiasing: antialiasingSelect.value });
+        },
+        { signal }
+      );
+    }
+
+    if (toneMappingSelect) {
+      Object.entries(TONE_MAPPINGS).forEach(([id, { name }]) => {
+        toneMappingSelect.add(new Option(name, id));
+      });
+      toneMappingSelect.addEventListener(
+        "change",
+        () => {
+          this.setEffects({ toneMapping: toneMappingSelect.value });
+        },
+        { signal }
+      );
+    }
+
+    if (exposureSlider) {
+      exposureSlider.addEventListener(
+        "input",
+        () => {
+          this.setEffects({ exposure: exposureSlider.value / 100 });
+        },
+        { signal }
+      );
+    }
+
+    // Lighting presets
+    const lightingSelect = this.root.getElementById("lighting-preset");
+    if (lightingSelect) {
+      this.lighting.getPresets().forEach(({ id, name }) => {
+        lightingSelect.add(new Option(name, id));
+      });
+      lightingSelect.value = this.lighting.preset;
+      lightingSelect.addEventListener(
+        "change",
+        () => {
+          this.setLightingPreset(lightingSelect.value);
+        },
+        { signal }
+      );
+    }
+
+    // Image export
+    const screenshotBtn = this.root.getElementById("screenshot-btn");
+    const turntableBtn = this.root.getElementById("turntable-btn");
+
+    if (screenshotBtn) {
+      screenshotBtn.addEventListener("click", this.exportImages.bind(this), {
+        signal,
+      });
+    }
+
+    if (turntableBtn) {
+      turntableBtn.addEventListener("click", this.exportTurntable.bind(this), {
+        signal,
+      });
+    }
+
+    // 3D model export
+    const modelFormatSelect = this.root.getElementById("model-format");
+    const modelExportBtn = this.root.getElementById("model-export-btn");
+
+    if (modelFormatSelect) {
+      Object.entries(MODEL_FORMATS).forEach(([id, { name }]) => {
+        modelFormatSelect.add(new Option(name, id));
+      });
+    }
+
+    if (modelExportBtn) {
+      modelExportBtn.addEventListener(
+        "click",
+        async () => {
+          modelExportBtn.disabled = true;
+          try {
+            await this.exportModel(
+              modelFormatSelect ? modelFormatSelect.value : "glb"
+            );
+          } catch (error) {
+            console.error("Failed to export the model:", error);
+            this.showNotice(`Could not export the model.\n${error.message}`);
+          } finally {
+            modelExportBtn.disabled = false;
+          }
+        },
+        { signal }
+      );
+    }
+
+    // Product loading from a file picker or by dropping a file on the canvas
+    const loadProductBtn = this.root.getElementById("load-product-btn");
+    const productInput = this.root.getElementById("product-input");
+
+    if (loadProductBtn && productInput) {
+      loadProductBtn.addEventListener("click", () => productInput.click(), {
+        signal,
+      });
+      productInput.addEventListener(
+        "change",
+        () => {
+          if (productInput.files.length > 0) {
+            this.loadProduct(productInput.files[0]);
+            productInput.value = "";
+          }
+        },
+        { signal }
+      );
+    }
+
+    this.canvas.addEventListener(
+      "dragover",
+      (event) => {
+        event.preventDefault();
+      },
+      { signal }
+    );
+
+    this.canvas.addEventListener(
+      "drop",
+      (event) => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (file && /\.(glb|gltf|json)$/i.test(file.name)) {
+          this.loadProduct(file);
+        }
+      },
+      { signal }
+    );
+
+    // Pause auto-rotation when user interacts with controls
+    if (this.sceneConfig.controls) {
+      this.sceneConfig.controls.addEventListener("change", () => {
+        this.requestRender();
+        this.scheduleUrlUpdate();
+      });
+
+      this.sceneConfig.controls.addEventListener("start", () => {
+        clearTimeout(this.autoRotateTimeout);
+        this.cameraAnimator.pauseAutoRotation();
+      });
+
+      this.sceneConfig.controls.addEventListener("end", () => {
+        this.resumeAutoRotationLater();
+      });
+    }
+
+    // Keyboard access to parts and camera
+    this.canvas.addEventListener("keydown", this.handleKeyDown.bind(this), {
+      signal,
+    });
+
+    // Follow the system's reduced-motion setting, also when it changes
+    const reducedMotionQuery = window.matchMedia(
+      "(prefers-reduced-motion: reduce)"
+    );
+    reducedMotionQuery.addEventListener(
+      "change",
+      (event) => {
+        this.setReducedMotion(event.matches);
+      },
+      { signal }
+    );
+  }
+
+  /**
+   * Select the tapped part, or place a measurement point while measuring.
+   * Taps on the section handle stay with the handle.
+   * @param {PointerEvent} event - Pointer event of the tap
+   */
+  handleTap(event) {
+    this.hotspotManager.closeCallouts();
+
+    if (this.sectionTool.isHandleHovered()) return;
+
+    if (this.measureTool.active) {
+      this.handleMeasureClick(event);
+    } else {
+      this.interactionManager.handleTap(event, this.canvas);
+    }
+  }
+
+  /**
+   * Resume auto-rotation after 2 seconds without camera interaction
+   */
+  resumeAutoRotationLater() {
+    clearTimeout(this.autoRotateTimeout);
+    this.autoRotateTimeout = setTimeout(() => {
+      if (this.isAutoRotating && !this.cameraAnimator.isFocused()) {
+        this.cameraAnimator.resumeAutoRotation();
+      }
+    }, 2000);
+  }
+
+  /**
+   * Keyboard controls of the focused canvas: parts are cycled and selected by
+   * the interaction manager, arrow keys orbit, +/- zoom and Escape returns to
+   * the overview
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+    if (this.interactionManager.handleKeyDown(event)) {
+      event.preventDefault();
+      return;
+    }
+
+    const step = Math.PI / 24;
+    switch (event.key) {
+      case "ArrowLeft":
+        this.cameraAnimator.orbitBy(-step, 0);
+        break;
+      case "ArrowRight":
+        this.cameraAnimator.orbitBy(step, 0);
+        break;
+      case "ArrowUp":
+        this.cameraAnimator.orbitBy(0, -step);
+        break;
+      case "ArrowDown":
+        this.cameraAnimator.orbitBy(0, step);
+        break;
+      case "+":
+      case "=":
+        this.cameraAnimator.zoomBy(0.85);
+        break;
+      case "-":
+      case "_":
+        this.cameraAnimator.zoomBy(1 / 0.85);
+        break;
+      case "Escape":
+        this.hotspotManager.closeCallouts();
+        if (this.cameraAnimator.isFocused()) this.returnToOverview();
+        event.preventDefault();
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    this.cameraAnimator.pauseAutoRotation();
+    this.resumeAutoRotationLater();
+  }
+
+  handleResize() {
+    if (!this.sceneConfig || !this.canvas) return;
+
+    const { camera, renderer } = this.sceneConfig;
+
+    // Update camera aspect ratio
+    camera.aspect = this.canvas.clientWidth / this.canvas.clientHeight;
+    camera.updateProjectionMatrix();
+
+    // Update renderer size; CSS sizes the canvas element itself
+    renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight, false);
+    renderer.setPixelRatio(this.qualityGovernor.getPixelRatio());
+    this.renderPipeline.resize();
+    this.sceneConfig.labelRenderer.setSize(
+      this.canvas.clientWidth,
+      this.canvas.clientHeight
+    );
+    if (this.comparisonView) this.comparisonView.resize();
+    this.requestRender();
+  }
+
+  handlePartSelect(part) {
+    const partNameEl = this.root.getElementById("part-name");
+    const partDescEl = this.root.getElementById("part-description");
+
+    if (part) {
+      if (partNameEl) partNameEl.textContent = part.name;
+      if (partDescEl) partDescEl.textContent = part.description;
+    } else {
+      if (partNameEl) partNameEl.textContent = "Select a Part";
+      if (partDescEl)
+        partDescEl.textContent =
+          "Hover over or click on different parts of the chair to see detailed information.";
+    }
+  }
+
+  toggleAutoRotate() {
+    this.setAutoRotate(!this.isAutoRotating);
+  }
+
+  /**
+   * Turn the camera orbit on or off
+   * @param {boolean} enabled
+   */
+  setAutoRotate(enabled) {
+    this.isAutoRotating = enabled;
+    const btn = this.root.getElementById("auto-rotate-btn");
+
+    if (this.isAutoRotating) {
+      // Orbiting takes the camera away from a focused part
+      this.cameraAnimator.clearFocus();
+      this.updateFocusState();
+      this.cameraAnimator.resumeAutoRotation();
+      if (btn) btn.textContent = "Auto Rotate: ON";
+    } else {
+      this.cameraAnimator.pauseAutoRotation();
+      if (btn) btn.textContent = "Auto Rotate: OFF";
+    }
+
+    this.scheduleUrlUpdate();
+  }
+
+  /**
+   * Crossfade to a lighting preset
+   * @param {string} presetId - Key of `LIGHTING_PRESETS`
+   * @param {number} [duration] - Crossfade duration in ms; instant when motion
+   * is reduced
+   */
+  setLightingPreset(presetId, duration) {
+    if (!LIGHTING_PRESETS[presetId]) {
+      throw new Error(`Unknown lighting preset "${presetId}"`);
+    }
+
+    this.lighting.setPreset(presetId, this.reducedMotion ? 0 : duration);
+
+    const lightingSelect = this.root.getElementById("lighting-preset");
+    if (lightingSelect) lightingSelect.value = presetId;
+  }
+
+  /**
+   * Describe the current view for a shareable link
+   * @returns {Object} State for `encodeViewerState`
+   */
+  getViewerState() {
+    const selectedPart = this.interactionManager.selectedPart;
+    const state = {
+      part: selectedPart ? selectedPart.id : null,
+      autoRotate: this.isAutoRotating,
+      hidden: this.visibilityManager.getHiddenPartIds(),
+      configuration: this.getConfiguration(),
+    };
+
+    // An orbiting camera has no fixed angle to share
+    if (!this.cameraAnimator.isAutoRotating) {
+      const { position, target } = this.cameraAnimator.getState();
+      state.camera = this.toProductSpace(position);
+      state.target = this.toProductSpace(target);
+    }
+
+    return state;
+  }
+
+  /**
+   * Restore a view described by `getViewerState`
+   * @param {Object} state - Decoded viewer state; missing fields are kept
+   */
+  applyViewerState(state) {
+    if (state.configuration) {
+      this.configurator.setConfiguration(state.configuration);
+    }
+
+    if (state.hidden) {
+      this.productParts
+        .filter((part) => state.hidden.includes(part.id))
+        .forEach((part) => this.visibilityManager.hide(part));
+    }
+
+    if (state.part) {
+      const part = this.productParts.find((p) => p.id === state.part);
+      if (part) this.interactionManager.handleSelection(part);
+    }
+
+    // Jump straight to the shared angle instead of the selection's framing
+    if (state.camera) {
+      this.cameraAnimator.setState({
+        ...this.cameraAnimator.getState(),
+        position: this.toWorldSpace(state.camera),
+        target: this.toWorldSpace(state.target),
+      });
+      this.updateFocusState();
+      if (this.isAutoRotating) this.cameraAnimator.resumeAutoRotation();
+    }
+
+    if (state.autoRotate !== undefined) {
+      this.setAutoRotate(state.autoRotate);
+    }
+  }
+
+  /**
+   * @param {number[]} point - World-space point
+   * @returns {number[]} The point in product space
+   */
+  toProductSpace(point) {
+    this.productGroup.updateWorldMatrix(true, false);
+    return this.productGroup
+      .worldToLocal(new THREE.Vector3().fromArray(point))
+      .toArray();
+  }
+
+  /**
+   * @param {number[]} point - Product-space point
+   * @returns {number[]} The point in world space
+   */
+  toWorldSpace(point) {
+    this.productGroup.updateWorldMatrix(true, false);
+    return this.productGroup
+      .localToWorld(new THREE.Vector3().fromArray(point))
+      .toArray();
+  }
+
+  /**
+   * Write the view to the URL hash shortly after a change. Changes in between
+   * are coalesced, and `replaceState` keeps them out of the browser history.
+   */
+  scheduleUrlUpdate() {
+    if (!this.options.urlState || this.urlUpdateTimeout) return;
+
+    this.urlUpdateTimeout = setTimeout(() => {
+      this.urlUpdateTimeout = null;
+
+      const hash = encodeViewerState(this.getViewerState());
+      if (hash !== window.location.hash) {
+        const { pathname, search } = window.location;
+        history.replaceState(history.state, "", `${pathname}${search}${hash}`);
+      }
+    }, URL_UPDATE_DELAY);
+  }
+
+  /**
+   * Animate the exploded view fully open, or closed again if it is open
+   */
+  toggleExplode() {
+    const targetAmount = this.explodedView.amount > 0.5 ? 0 : 1;
+    this.explodedView.animateTo(targetAmount, 800, (amount) => {
+      this.updateExplodeControls(amount);
+    });
+  }
+
+  /**
+   * Sync the explode button and slider with the current amount
+   * @param {number} amount - Explode amount from 0 to 1
+   */
+  updateExplodeControls(amount) {
+    if (this.dimensionsOverlay && this.dimensionsOverlay.visible) {
+      this.dimensionsOverlay.refresh();
+    }
+
+    const btn = this.root.getElementById("explode-btn");
+    const slider = this.root.getElementById("explode-slider");
+
+    if (btn) btn.textContent = amount > 0.5 ? "Collapse" : "Explode";
+    if (slider) slider.value = Math.round(amount * 100);
+  }
+
+  /**
+   * Place a measurement point where the user tapped on the product
+   * @param {PointerEvent} event - Pointer event of the tap
+   */
+  handleMeasureClick(event) {
+    const hit = this.interactionManager.intersectParts(event, this.canvas);
+    if (hit) {
+      this.measureTool.addPoint(hit.point);
+    }
+  }
+
+  /**
+   * Switch the display unit of dimensions and measurements
+   * @param {string} unit - "cm" or "in"
+   */
+  setUnit(unit) {
+    this.unit = unit;
+    if (this.dimensionsOverlay) {
+      this.dimensionsOverlay.setUnit(unit);
+      this.measureTool.setUnit(unit);
+    }
+
+    const unitSelect = this.root.getElementById("unit-select");
+    if (unitSelect) unitSelect.value = unit;
+  }
+
+  /**
+   * Sync the part visibility buttons with the selection and visibility state
+   */
+  updateVisibilityControls() {
+    const part = this.interactionManager.selectedPart;
+    const visibility = this.visibilityManager;
+
+    const hidePartBtn = this.root.getElementById("hide-part-btn");
+    const isolatePartBtn = this.root.getElementById("isolate-part-btn");
+    const xRayBtn = this.root.getElementById("xray-btn");
+    const showAllBtn = this.root.getElementById("show-all-btn");
+    const isolateModeSelect = this.root.getElementById("isolate-mode");
+
+    if (hidePartBtn) hidePartBtn.disabled = !part;
+    if (isolatePartBtn) {
+      isolatePartBtn.disabled = !part;
+      isolatePartBtn.classList.toggle(
+        "active",
+        part !== null && visibility.isolatedPart === part
+      );
+    }
+    if (xRayBtn) xRayBtn.classList.toggle("active", visibility.xRay);
+    if (showAllBtn) showAllBtn.disabled = !visibility.isModified();
+    if (isolateModeSelect) isolateModeSelect.value = visibility.isolateMode;
+  }
+
+  /**
+   * Sync the section controls with the current cuts
+   */
+  updateSectionControls() {
+    const sectionClearBtn = this.root.getElementById("section-clear-btn");
+    const sectionCapsCheckbox = this.root.getElementById("section-caps");
+
+    if (sectionClearBtn) {
+      sectionClearBtn.disabled = this.sectionTool.sections.length === 0;
+    }
+    if (sectionCapsCheckbox)
+      sectionCapsCheckbox.checked = this.sectionTool.caps;
+  }
+
+  /**
+   * Sync the comparison controls with the split screen
+   */
+  updateComparisonControls() {
+    const compareBtn = this.root.getElementById("compare-btn");
+    const compareLockCheckbox = this.root.getElementById("compare-lock");
+    const divider = this.root.getElementById("comparison-divider");
+    const comparing = this.comparisonView !== null;
+
+    if (compareBtn) compareBtn.classList.toggle("active", comparing);
+    if (compareLockCheckbox) {
+      compareLockCheckbox.disabled = !comparing;
+      compareLockCheckbox.checked = comparing
+        ? this.comparisonView.locked
+        : true;
+    }
+    if (divider) divider.style.display = comparing ? "block" : "none";
+  }
+
+  /**
+   * Give each side of the split screen its own swatches, headed by the side
+   * and product name, or show the live product's swatches alone
+   */
+  updateComparisonPanels() {
+    const comparison = this.comparisonView;
+    if (this.configuratorPanel) {
+      this.configuratorPanel.setConfigurator(
+        this.configurator,
+        comparison ? `Left: ${this.productGroup.name}` : null
+      );
+    }
+    if (this.comparisonConfiguratorPanel && comparison) {
+      this.comparisonConfiguratorPanel.setConfigurator(
+        comparison.configurator,
+        `Right: ${comparison.productGroup.name}`
+      );
+    }
+  }
+
+  /**
+   * Refill the comparison table from both sides, if comparing
+   */
+  updateComparisonTable() {
+    if (!this.comparisonView || !this.comparisonTable) return;
+
+    const comparison = this.comparisonView;
+    this.comparisonTable.render([
+      {
+        title: this.productGroup.name,
+        parts: this.productParts,
+        configurator: this.configurator,
+      },
+      {
+        title: comparison.productGroup.name,
+        parts: comparison.productParts,
+        configurator: comparison.configurator,
+      },
+    ]);
+  }
+
+  /**
+   * Sync the toggle buttons of the view tools with their state
+   */
+  updateToolButtons() {
+    const dimensionsBtn = this.root.getElementById("dimensions-btn");
+    const measureBtn = this.root.getElementById("measure-btn");
+
+    if (dimensionsBtn) {
+      dimensionsBtn.classList.toggle("active", this.dimensionsOverlay.visible);
+    }
+    if (measureBtn) {
+      measureBtn.classList.toggle("active", this.measureTool.active);
+    }
+  }
+
+  /**
+   * Freeze every animation (product motion, camera orbit, transitions)
+   */
+  pauseAnimations() {
+    this.scheduler.pause();
+  }
+
+  resumeAnimations() {
+    this.scheduler.resume();
+  }
+
+  /**
+   * @param {number} timeScale - Animation speed multiplier, 1 is real time
+   */
+  setAnimationSpeed(timeScale) {
+    this.scheduler.setTimeScale(timeScale);
+  }
+
+  resetView() {
+    if (this.sceneConfig && this.sceneConfig.controls) {
+      this.sceneConfig.controls.reset();
+      this.cameraAnimator.reset();
+      this.updateFocusState();
+      if (this.isAutoRotating) this.cameraAnimator.resumeAutoRotation();
+    }
+  }
+
+  /**
+   * Frame a part's bounding box
+   * @param {Object} part - Product part
+   */
+  focusOnPart(part) {
+    this.cameraAnimator.focusOnObject(part.mesh);
+    this.updateFocusState();
+  }
+
+  /**
+   * Move the camera to one of the manifest's named views
+   * @param {Object} bookmark - Camera bookmark from the manifest
+   */
+  goToBookmark(bookmark) {
+    this.cameraAnimator.focusOnBookmark(bookmark, this.productGroup);
+    this.updateFocusState();
+  }
+
+  /**
+   * Animate back to the view from before focusing
+   */
+  returnToOverview() {
+    this.cameraAnimator.returnToOverview();
+    this.updateFocusState();
+    if (this.isAutoRotating) this.cameraAnimator.resumeAutoRotation();
+  }
+
+  /**
+   * Hold the product still while focused and offer the way back
+   */
+  updateFocusState() {
+    const focused = this.cameraAnimator.isFocused();
+    this.updateMotionChannels();
+
+    const overviewBtn = this.root.getElementById("overview-btn");
+    if (overviewBtn) overviewBtn.hidden = !focused;
+  }
+
+  /**
+   * Stop the floating product, selection pulse, background spin, light
+   * flicker and auto-rotation, and make camera moves instant
+   * @param {boolean} enabled - Whether to reduce motion
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+    this.cameraAnimator.setReducedMotion(enabled);
+    this.updateMotionChannels();
+
+    if (enabled && this.isAutoRotating) {
+      this.setAutoRotate(false);
+    }
+  }
+
+  /**
+   * Enable the ambient and idle animations unless motion is reduced; the
+   * product also holds still while the camera is focused on it
+   */
+  updateMotionChannels() {
+    // Decorative motion would keep an on-demand viewer drawing every frame
+    const decorative = !this.reducedMotion && this.renderMode !== "on-demand";
+
+    this.scheduler.setChannelEnabled("ambient", decorative);
+    this.scheduler.setChannelEnabled(
+      "idle",
+      decorative && !this.cameraAnimator.isFocused()
+    );
+  }
+
+  /**
+   * Use a fixed quality tier, or adapt it to the frame rate
+   * @param {string} tierId - Id from `QUALITY_TIERS`, or "auto"
+   */
+  setQuality(tierId) {
+    this.qualityGovernor.setQuality(tierId);
+  }
+
+  /**
+   * Switch post-processing effects and adjust the exposure
+   * @param {Object} settings - Fields to change: `ambientOcclusion` and
+   * `bloom` (booleans, also limited by the quality tier), `antialiasing`
+   * (key of `ANTIALIASING_MODES`, used while MSAA is off), `toneMapping` (key
+   * of `TONE_MAPPINGS`) and `exposure` (factor on the lighting preset's)
+   */
+  setEffects({ exposure, ...settings } = {}) {
+    // Check everything first, so an invalid field changes nothing
+    if (exposure !== undefined && !(exposure > 0)) {
+      throw new Error(`Invalid exposure "${exposure}"`);
+    }
+    this.effects.validate(settings);
+
+    if (exposure !== undefined) this.lighting.setExposureScale(exposure);
+    this.effects.set(settings);
+    this.updateEffectControls();
+    this.requestRender();
+  }
+
+  /**
+   * @returns {Object} Effect settings including the exposure, see
+   * `setEffects()`
+   */
+  getEffects() {
+    return {
+      ...this.effects.getSettings(),
+      exposure: this.lighting.exposureScale,
+    };
+  }
+
+  /**
+   * Sync the effect controls with the current settings
+   */
+  updateEffectControls() {
+    const settings = this.getEffects();
+
+    const aoCheckbox = this.root.getElementById("effect-ao");
+    if (aoCheckbox) aoCheckbox.checked = settings.ambientOcclusion;
+
+    const bloomCheckbox = this.root.getElementById("effect-bloom");
+    if (bloomCheckbox) bloomCheckbox.checked = settings.bloom;
+
+    const antialiasingSelect = this.root.getElementById("effect-antialiasing");
+    if (antialiasingSelect) antialiasingSelect.value = settings.antialiasing;
+
+    const toneMappingSelect = this.root.getElementById("tone-mapping");
+    if (toneMappingSelect) toneMappingSelect.value = settings.toneMapping;
+
+    const exposureSlider = this.root.getElementById("exposure-slider");
+    if (exposureSlider) {
+      exposureSlider.value = Math.round(settings.exposure * 100);
+    }
+  }
+
+  /**
+   * Cut the product open along an axis or a custom direction. The newest cut
+   * gets a handle to drag it.
+   * @param {Object} [options]
+   * @param {string} [options.axis="y"] - "x", "y" or "z"
+   * @param {number[]} [options.normal] - Custom direction `[x, y, z]` in
+   * product space, instead of an axis
+   * @param {number} [options.position=0.5] - Where the cut crosses the
+   * product, from 0 to 1 along the direction; everything beyond is removed
+   * @returns {number} Id of the cut
+   */
+  addSection(options) {
+    return this.sectionTool.addSection(options);
+  }
+
+  /**
+   * @param {number} id - Id returned by `addSection()`
+   */
+  removeSection(id) {
+    this.sectionTool.removeSection(id);
+  }
+
+  /**
+   * Remove every cut
+   */
+  clearSections() {
+    this.sectionTool.clear();
+  }
+
+  /**
+   * Fill the cut faces in a solid color, or leave them open
+   * @param {boolean} enabled - Whether to fill the cut faces
+   * @param {string} [color] - CSS color of the filled faces
+   */
+  setSectionCaps(enabled, color) {
+    if (color !== undefined) this.sectionTool.setCapColor(color);
+    this.sectionTool.setCaps(enabled);
+  }
+
+  /**
+   * Show a second product, or a second configuration of the current one, in
+   * a split screen next to the current product, with a table of both
+   * products' parts beneath
+   * @param {Object} [options]
+   * @param {string|File|Object} [options.product] - Product to compare with,
+   * as for `loadProduct()`; defaults to the current product
+   * @param {Object} [options.configuration] - Variant ids keyed by group id
+   * for the right side; defaults to the current configuration when comparing
+   * the current product. Nothing is shown if another product loads meanwhile.
+   * @returns {Promise<void>}
+   */
+  async startComparison({ product, configuration } = {}) {
+    const staging = new THREE.Scene();
+    const liveGroup = this.productGroup;
+    let loaded;
+    try {
+      loaded = await loadProduct(staging, product || this.productSource);
+    } catch (error) {
+      removeProducts(staging);
+      throw error;
+    }
+
+    // Destroyed, or the live product was replaced while loading
+    if (this.destroyed || this.productGroup !== liveGroup) {
+      removeProducts(staging);
+      return;
+    }
+
+    const locked = this.comparisonView ? this.comparisonView.locked : true;
+    if (this.comparisonView) this.comparisonView.dispose();
+
+    const { scene, camera, controls, labelRenderer } = this.sceneConfig;
+    this.comparisonView = new ComparisonView(loaded, {
+      scene,
+      camera,
+      controls,
+      labelRenderer,
+      pipeline: this.renderPipeline,
+      canvas: this.canvas,
+      scheduler: this.scheduler,
+    });
+    this.comparisonView.setLocked(locked);
+    this.comparisonView.configurator.setConfiguration(
+      configuration || (product ? {} : this.getConfiguration())
+    );
+    this.comparisonView.addEventListener("change", () => {
+      this.lighting.applyEnvironmentIntensity(loaded.productGroup);
+      this.updateComparisonTable();
+      this.requestRender();
+    });
+    this.lighting.applyEnvironmentIntensity(loaded.productGroup);
+    this.updateComparisonPanels();
+
+    // Parts are only picked on the left side
+    this.interactionManager.setViewport({ x: 0, y: 0, width: 0.5, height: 1 });
+
+    this.updateComparisonTable();
+    this.updateComparisonControls();
+    this.requestRender();
+  }
+
+  /**
+   * Close the split screen
+   */
+  endComparison() {
+    if (!this.comparisonView) return;
+
+    if (this.comparisonConfiguratorPanel) {
+      this.comparisonConfiguratorPanel.dispose();
+    }
+    this.comparisonView.dispose();
+    this.comparisonView = null;
+    this.updateComparisonPanels();
+    this.interactionManager.setViewport({ x: 0, y: 0, width: 1, height: 1 });
+    if (this.comparisonTable) this.comparisonTable.hide();
+
+    this.updateComparisonControls();
+    this.requestRender();
+  }
+
+  /**
+   * Switch the material variants of the right side
+   * @param {Object} configuration - Variant ids keyed by group id
+   */
+  setComparisonConfiguration(configuration) {
+    this.getComparisonView().configurator.setConfiguration(configuration);
+  }
+
+  /**
+   * Lock the split screen's cameras together, or let each side orbit on its
+   * own
+   * @param {boolean} locked - Whether orbiting one side orbits both
+   */
+  setCamerasLocked(locked) {
+    this.getComparisonView().setLocked(locked);
+    this.updateComparisonControls();
+  }
+
+  /**
+   * @returns {ComparisonView} The split screen
+   */
+  getComparisonView() {
+    if (!this.comparisonView) {
+      throw new Error("No comparison is shown");
+    }
+    return this.comparisonView;
+  }
+
+  /**
+   * Change how the hovered or the selected part is outlined
+   * @param {string} kind - "hover" or "selection"
+   * @param {Object} style - `color`, `thickness`, `glow`, `strength` and
+   * `pulse` fields to change
+   */
+  setHighlightStyle(kind, style) {
+    this.highlights.setStyle(kind, style);
+    this.requestRender();
+  }
+
+  /**
+   * Draw every frame, or only frames in which something changed. On demand,
+   * the ambient effects and the floating product hold still.
+   * @param {string} mode - "continuous" or "on-demand"
+   */
+  setRenderMode(mode) {
+    if (mode !== "continuous" && mode !== "on-demand") {
+      throw new Error(`Unknown render mode "${mode}"`);
+    }
+
+    this.renderMode = mode;
+    this.updateMotionChannels();
+    this.requestRender();
+
+    const renderModeSelect = this.root.getElementById("render-mode");
+    if (renderModeSelect) renderModeSelect.value = mode;
+  }
+
+  /**
+   * Draw the next frame, also in on-demand mode
+   */
+  requestRender() {
+    this.needsRender = true;
+  }
+
+  /**
+   * Sync the quality select with the governor; in auto mode it names the
+   * tier in use
+   */
+  updateQualityControls() {
+    const qualitySelect = this.root.getElementById("quality-select");
+    if (!qualitySelect) return;
+
+    const { auto } = this.qualityGovernor;
+    const tier = this.qualityGovernor.getTier();
+    qualitySelect.options[0].textContent = auto
+      ? `Auto (${tier.name})`
+      : "Auto";
+    qualitySelect.value = auto ? "auto" : tier.id;
+  }
+
+  /**
+   * Create a button for each camera bookmark of the current product
+   */
+  renderBookmarks() {
+    const container = this.root.getElementById("bookmark-buttons");
+    if (!container) return;
+
+    container.innerHTML = "";
+    const bookmarks = (this.manifest && this.manifest.cameraBookmarks) || [];
+
+    bookmarks.forEach((bookmark) => {
+      const button = document.createElement("button");
+      button.className =
+        "px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors font-medium shadow-lg";
+      button.textContent = bookmark.name;
+      button.addEventListener("click", () => this.goToBookmark(bookmark), {
+        signal: this.abortController.signal,
+      });
+      container.appendChild(button);
+    });
+  }
+
+  /**
+   * Offer the camera bookmarks as export views
+   */
+  renderExportViews() {
+    const select = this.root.getElementById("export-view");
+    if (!select) return;
+
+    const bookmarks = (this.manifest && this.manifest.cameraBookmarks) || [];
+    const options = [["current", "Current view"]];
+    bookmarks.forEach((bookmark, index) => {
+      options.push([String(index), bookmark.name]);
+    });
+    if (bookmarks.length > 1) {
+      options.push(["all", "All bookmarks"]);
+    }
+
+    select.innerHTML = "";
+    options.forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Read the size and background chosen in the export controls
+   * @returns {Object} Options for `ImageExporter`
+   */
+  getExportOptions() {
+    const sizeSelect = this.root.getElementById("export-size");
+    const transparentInput = this.root.getElementById("export-transparent");
+    const [width, height] = (sizeSelect ? sizeSelect.value : "1920x1080")
+      .split("x")
+      .map(Number);
+
+    return {
+      width,
+      height,
+      transparent: transparentInput ? transparentInput.checked : false,
+    };
+  }
+
+  /**
+   * Download PNGs of the current view or the chosen camera bookmarks
+   */
+  async exportImages() {
+    const select = this.root.getElementById("export-view");
+    const choice = select ? select.value : "current";
+    const bookmarks = (this.manifest && this.manifest.cameraBookmarks) || [];
+    const options = this.getExportOptions();
+
+    let views = [];
+    if (choice === "all") {
+      views = bookmarks;
+    } else if (bookmarks[choice]) {
+      views = [bookmarks[choice]];
+    }
+
+    await this.exportFrames(() => {
+      if (views.length === 0) {
+        return [
+          {
+            canvas: this.imageExporter.captureCurrentView(options),
+            name: "view",
+          },
+        ];
+      }
+
+      const canvases = this.imageExporter.captureViews(
+        views.map((bookmark) => ({
+          position: new THREE.Vector3().fromArray(
+            this.toWorldSpace(bookmark.position)
+          ),
+          target: new THREE.Vector3().fromArray(
+            this.toWorldSpace(bookmark.target)
+          ),
+        })),
+        options
+      );
+      return canvases.map((canvas, index) => ({
+        canvas,
+        name: views[index].name,
+      }));
+    });
+  }
+
+  /**
+   * Download a sprite sheet of evenly spaced angles around the product
+   */
+  async exportTurntable() {
+    const framesInput = this.root.getElementById("turntable-frames");
+    const frameCount = THREE.MathUtils.clamp(
+      Math.round(Number(framesInput ? framesInput.value : 24)) || 24,
+      2,
+      72
+    );
+
+    const center = this.productGroup.localToWorld(
+      computeLocalBounds(this.productGroup).getCenter(new THREE.Vector3())
+    );
+
+    await this.exportFrames(() => [
+      {
+        canvas: this.imageExporter.captureTurntable(
+          frameCount,
+          center,
+          this.getExportOptions()
+        ),
+        name: `turntable-${frameCount}`,
+      },
+    ]);
+  }
+
+  /**
+   * Render frames with highlights hidden and download them as PNGs
+   * @param {Function} render - Returns the rendered `{canvas, name}` images
+   */
+  async exportFrames(render) {
+    const restoreHighlights = this.interactionManager.suspendHighlights();
+    const restoreHandle = this.sectionTool.suspendHandle();
+    let images;
+    try {
+      images = render();
+    } catch (error) {
+      console.error("Failed to export images:", error);
+      this.showNotice(`Could not export images.\n${error.message}`);
+      return;
+    } finally {
+      restoreHighlights();
+      restoreHandle();
+    }
+
+    const productId = this.manifest ? this.manifest.id : "product";
+    for (const { canvas, name } of images) {
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+      await downloadCanvas(canvas, `${productId}-${slug}.png`);
+    }
+  }
+
+  /**
+   * Export the product as configured: its own materials, without hidden
+   * parts, overlays or highlights, and assembled even while exploded. The
+   * file is loaded back to check it before it is handed out.
+   * @param {string} [format="glb"] - "glb", "gltf", "usdz" or "obj"
+   * @param {Object} [options]
+   * @param {boolean} [options.download=true] - Save the file as a download
+   * @returns {Promise<Blob>} The exported file
+   */
+  async exportModel(format = "glb", { download = true } = {}) {
+    const { extension } = MODEL_FORMATS[format] || {};
+    if (!extension) {
+      throw new Error(`Unknown model format "${format}"`);
+    }
+
+    const positions = new Map(
+      this.explodedView.entries.map(({ mesh, origin }) => [mesh, origin])
+    );
+    const copy = createExportCopy(this.productGroup, this.productParts, {
+      positions,
+    });
+
+    const blob = await exportModel(copy, format);
+    await verifyModel(blob, format, copy);
+
+    if (download) {
+      const productId = this.manifest ? this.manifest.id : "product";
+      downloadBlob(blob, `${productId}.${extension}`);
+    }
+    return blob;
+  }
+
+  animate() {
+    this.animationFrame = requestAnimationFrame(this.animate.bind(this));
+
+    if (this.sceneConfig) {
+      // A tween finishing in this update still needs its last frame drawn
+      const tweening = this.scheduler.isTweening();
+
+      // Advance every animation by the time since the last frame
+      this.scheduler.update();
+
+      // Hover picking isn't an animation, so it goes on while they are paused
+      this.interactionManager.pickPendingHover();
+
+      // Update controls; camera moves request a frame through "change"
+      if (this.sceneConfig.controls) {
+        this.sceneConfig.controls.update();
+      }
+
+      if (this.renderMode === "on-demand" && !this.needsRender && !tweening) {
+        return;
+      }
+      this.needsRender = false;
+
+      // Hide hotspots behind the product
+      this.hotspotManager.update();
+
+      // Render the scene, on both sides while comparing
+      if (this.comparisonView) {
+        this.comparisonView.render(this.productGroup);
+      } else {
+        this.renderPipeline.render();
+      }
+      this.sceneConfig.labelRenderer.render(
+        this.sceneConfig.scene,
+        this.sceneConfig.camera
+      );
+      this.qualityGovernor.sample();
+    }
+  }
+
+  hideLoadingScreen() {
+    const loadingScreen = this.root.getElementById("loading-screen");
+    if (loadingScreen) {
+      loadingScreen.style.opacity = "0";
+      setTimeout(() => {
+        loadingScreen.style.display = "none";
+      }, 500);
+    }
+  }
+
+  showPartInfoPanel() {
+    const panel = this.root.getElementById("part-info-panel");
+    if (panel) {
+      setTimeout(() => {
+        panel.style.opacity = "1";
+        panel.style.transform = "translateY(0)";
+      }, 1000);
+    }
+  }
+
+  /**
+   * Show a dismissable, non-fatal message over the viewer
+   * @param {string} message - Message text
+   */
+  showNotice(message) {
+    const notice = this.root.getElementById("viewer-notice");
+    if (!notice) return;
+
+    notice.textContent = message;
+    notice.style.display = "block";
+    clearTimeout(this.noticeTimeout);
+    this.noticeTimeout = setTimeout(() => {
+      notice.style.display = "none";
+    }, 8000);
+  }
+
+  /**
+   * Dispatch a DOM event that crosses the shadow boundary
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   */
+  emit(type, detail) {
+    this.eventTarget.dispatchEvent(
+      new CustomEvent(type, { detail, bubbles: true, composed: true })
+    );
+  }
+
+  showError(message) {
+    const loadingScreen = this.root.getElementById("loading-screen");
+    if (loadingScreen) {
+      // The loading screen is hidden once a product was shown
+      loadingScreen.style.display = "";
+      loadingScreen.style.opacity = "1";
+      loadingScreen.innerHTML = `
+        <div class="text-center">
+          <div class="text-red-500 text-4xl mb-4">⚠️</div>
+          <h2 class="text-white text-xl mb-2">Error Loading 3D Viewer</h2>
+          <p class="text-gray-300">${message}</p>
+        </div>
+      `;
+    }
+  }
+}
+
+/**
+ * @param {Object|null} part - Product part
+ * @returns {Object|null} The part's plain data for event details
+ */
+function describePart(part) {
+  if (!part) return null;
+
+  return {
+    id: part.id,
+    name: part.name,
+    description: part.description,
+    category: part.category,
+  };
+}
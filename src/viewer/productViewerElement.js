@@ -0,0 +1,203 @@
+import { ProductViewer } from "./productViewer.js";
+import { LIGHTING_PRESETS } from "../three/addLighting.js";
+import { QUALITY_TIERS } from "../three/qualityGovernor.js";
+import styles from "../style.css?inline";
+
+// Canvas and overlay of one embedded viewer. Ids only have to be unique within
+// the shadow root, so they match the full page and `ProductViewer` finds the
+// same controls in both.
+const template = document.createElement("template");
+template.innerHTML = `
+  <style>
+    ${styles}
+
+    :host {
+      display: block;
+      position: relative;
+      height: 28rem;
+      overflow: hidden;
+      border-radius: 0.75rem;
+      background-color: #2a2a2a;
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+  </style>
+
+  <div
+    id="loading-screen"
+    class="absolute inset-0 bg-gray-900 flex items-center justify-center z-50"
+  >
+    <div
+      class="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-500"
+    ></div>
+  </div>
+
+  <div class="absolute inset-0">
+    <canvas
+      id="threejs-canvas"
+      class="w-full h-full"
+      tabindex="0"
+      role="application"
+      aria-label="3D product viewer. Tab cycles parts, Enter selects, arrow keys orbit."
+    ></canvas>
+  </div>
+
+  <div class="absolute top-0 right-0 z-10 p-4 flex gap-2">
+    <button id="auto-rotate-btn" class="tool-btn">Auto Rotate: ON</button>
+    <button id="reset-btn" class="tool-btn">Reset View</button>
+    <button id="overview-btn" class="tool-btn" hidden>Back to Overview</button>
+  </div>
+
+  <div
+    id="viewer-notice"
+    class="absolute bg-black/80 text-white p-4 rounded-xl shadow-2xl border border-gray-700 text-sm"
+    role="alert"
+  ></div>
+
+  <div
+    id="part-info-panel"
+    class="absolute bottom-6 left-6 bg-black/80 backdrop-blur-sm text-white p-4 rounded-xl shadow-2xl border border-gray-700 opacity-0 transition-all duration-300 transform translate-y-4 max-w-sm"
+  >
+    <div role="status" aria-live="polite" aria-atomic="true">
+      <h3 id="part-name" class="text-lg font-bold mb-2 text-blue-400">
+        Select a Part
+      </h3>
+      <p id="part-description" class="text-gray-300 text-sm leading-relaxed"></p>
+    </div>
+  </div>
+`;
+
+const QUALITY_VALUES = ["auto", ...QUALITY_TIERS.map((tier) => tier.id)];
+const RENDER_MODES = ["continuous", "on-demand"];
+const LIGHTING_VALUES = Object.keys(LIGHTING_PRESETS);
+
+/**
+ * `<product-viewer>` custom element: a self-contained viewer with its own
+ * canvas and overlay in a shadow root, so several can share a page.
+ *
+ * Attributes:
+ * - `src`: manifest or glTF/GLB URL; without it the demo chair is shown
+ * - `auto-rotate`: orbit the product
+ * - `lighting`: lighting preset id, e.g. "daylight"; unknown ids fall back to
+ *   "studio" and are reported as "viewer-error"
+ * - `quality`: "auto" (default), "low", "medium" or "high"; unknown values
+ *   fall back to the default and are reported as "viewer-error"
+ * - `render-mode`: "continuous" (default) or "on-demand"; unknown values
+ *   fall back to the default and are reported as "viewer-error"
+ *
+ * The viewer's DOM events ("viewer-ready", "product-load", "part-select",
+ * "part-hover", "viewer-error") are dispatched on the element. Removing the
+ * element destroys its viewer; adding it again starts a new one.
+ */
+export class ProductViewerElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["src", "auto-rotate", "lighting", "quality", "render-mode"];
+  }
+
+  constructor() {
+    super();
+    this.viewer = null;
+  }
+
+  connectedCallback() {
+    if (this.viewer) return;
+
+    // A fresh overlay for every mount; the shadow root outlives disconnects
+    const root = this.shadowRoot || this.attachShadow({ mode: "open" });
+    root.replaceChildren(template.content.cloneNode(true));
+
+    this.viewer = new ProductViewer(root, {
+      src: this.getAttribute("src"),
+      autoRotate: this.hasAttribute("auto-rotate"),
+      lighting: this.readChoice("lighting", LIGHTING_VALUES, "studio"),
+      quality: this.readChoice("quality", QUALITY_VALUES, "auto"),
+      renderMode: this.readChoice("render-mode", RENDER_MODES, "continuous"),
+    });
+  }
+
+  disconnectedCallback() {
+    if (!this.viewer) return;
+
+    this.viewer.destroy();
+    this.viewer = null;
+  }
+
+  /**
+   * Read an attribute that takes one of a fixed set of values
+   * @param {string} name - Attribute name
+   * @param {string[]} values - Allowed values
+   * @param {string} fallback - Value used when the attribute is missing,
+   * empty or unknown; unknown values are also reported as "viewer-error"
+   * @returns {string}
+   */
+  readChoice(name, values, fallback) {
+    const value = this.getAttribute(name);
+    if (!value) return fallback;
+    if (values.includes(value)) return value;
+
+    this.reportError(`Unknown ${name} "${value}", using "${fallback}"`);
+    return fallback;
+  }
+
+  /**
+   * @param {string} message - Error message for the "viewer-error" event
+   */
+  reportError(message) {
+    this.dispatchEvent(
+      new CustomEvent("viewer-error", {
+        detail: { message },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Apply attribute changes once the viewer is ready. Errors are reported as
+   * "viewer-error" rather than rejected.
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} value - New value
+   */
+  async attributeChangedCallback(name, oldValue, value) {
+    const viewer = this.viewer;
+    if (!viewer || oldValue === value) return;
+
+    // Skip viewers that failed or were removed in the meantime
+    await viewer.ready;
+    if (viewer !== this.viewer || !viewer.isReady) return;
+
+    // Read the attribute again; it may have changed while loading
+    try {
+      switch (name) {
+        case "src":
+          await viewer.loadProduct(this.getAttribute("src"));
+          break;
+        case "auto-rotate":
+          viewer.setAutoRotate(this.hasAttribute("auto-rotate"));
+          break;
+        case "lighting":
+          if (this.hasAttribute("lighting")) {
+            viewer.setLightingPreset(this.getAttribute("lighting"));
+          }
+          break;
+        case "quality":
+          viewer.setQuality(this.readChoice("quality", QUALITY_VALUES, "auto"));
+          break;
+        case "render-mode":
+          viewer.setRenderMode(
+            this.readChoice("render-mode", RENDER_MODES, "continuous")
+          );
+          break;
+      }
+    } catch (error) {
+      this.reportError(error.message);
+    }
+  }
+}
+
+if (!customElements.get("product-viewer")) {
+  customElements.define("product-viewer", ProductViewerElement);
+}
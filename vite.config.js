@@ -8,7 +8,11 @@ export default defineConfig({
   build: {
     outDir: "dist",
     assetsDir: "assets",
+    rollupOptions: {
+      input: {
+        main: "index.html",
+        listing: "listing.html",
+      },
+    },
   },
 });
-
-